@@ -23,16 +23,464 @@ export const handleApiError = (error) => {
   }
 };
 
+// Keys under which the access token (a JWT) and the refresh token from
+// /api/login are kept in localStorage
+const AUTH_TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+/**
+ * Get the stored JWT
+ * @returns {string|null} The token, or null when logged out
+ */
+export const getAuthToken = () =>
+  (typeof localStorage !== 'undefined' ? localStorage.getItem(AUTH_TOKEN_KEY) : null);
+
+/**
+ * Store the JWT sent with every request, or clear it
+ * @param {string|null} token - Token from /api/login or /api/register, or null
+ */
+export const setAuthToken = (token) => {
+  if (typeof localStorage === 'undefined') return;
+  
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+};
+
+/**
+ * Get the stored refresh token
+ * @returns {string|null} The token, or null when logged out
+ */
+const getRefreshToken = () =>
+  (typeof localStorage !== 'undefined' ? localStorage.getItem(REFRESH_TOKEN_KEY) : null);
+
+/**
+ * Store the tokens of a session, or clear them
+ * @param {Object|null} tokens - { token, refresh_token } from /api/login,
+ *   /api/register or /api/token/refresh, or null
+ */
+const setSessionTokens = (tokens) => {
+  setAuthToken(tokens ? tokens.token : null);
+  
+  if (typeof localStorage === 'undefined') return;
+  
+  if (tokens) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, tokens.refresh_token);
+  } else {
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  }
+};
+
+// Refresh in progress, shared so concurrent 401s only refresh once
+let pendingRefresh = null;
+
+/**
+ * Trade the stored refresh token for new tokens; clears the session when
+ * the server refuses it
+ * @returns {Promise<boolean>} Whether new tokens were stored
+ */
+const refreshSession = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = fetch('/api/token/refresh', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ refresh_token: getRefreshToken() }),
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          setSessionTokens(null);
+          return false;
+        }
+        setSessionTokens(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  
+  return pendingRefresh;
+};
+
+/**
+ * fetch() with the stored access token attached as a Bearer token. When the
+ * access token has expired the session is refreshed and the request retried
+ * once.
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} The response
+ */
+const apiFetch = async (url, options = {}) => {
+  const send = () => {
+    const token = getAuthToken();
+    
+    return fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+  };
+  
+  const response = await send();
+  
+  if (response.status !== 401 || !getAuthToken() || !getRefreshToken()) {
+    return response;
+  }
+  
+  return (await refreshSession()) ? send() : response;
+};
+
+// Gateway errors after which a request with an Idempotency-Key is retried,
+// and how long to wait before retrying
+const RETRY_STATUSES = [502, 503, 504];
+const RETRY_DELAY_MS = 1000;
+
+/**
+ * Make a random key for the Idempotency-Key header
+ * @returns {string} 32 hex characters
+ */
+const createIdempotencyKey = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * apiFetch() for a request that must not be applied twice. It is sent with
+ * an Idempotency-Key and, when the network or a gateway fails, retried once
+ * with the same key; if the first attempt did reach the server, the retry
+ * gets its response back rather than applying it again.
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} The response
+ */
+const idempotentFetch = async (url, options = {}) => {
+  const key = createIdempotencyKey();
+  const send = () => apiFetch(url, {
+    ...options,
+    headers: { ...options.headers, 'Idempotency-Key': key },
+  });
+  const retry = () => new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS)).then(send);
+  
+  let response;
+  try {
+    response = await send();
+  } catch (error) {
+    return retry();
+  }
+  
+  return RETRY_STATUSES.includes(response.status) ? retry() : response;
+};
+
+/**
+ * Build an error for a failed response, using the server's error message and
+ * keeping any per-field validation errors as `details`
+ * @param {Response} response - The failed response
+ * @returns {Promise<Error>} Error with status and details
+ */
+const responseError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  const error = new Error(data.error || `Error ${response.status}: ${response.statusText}`);
+  error.status = response.status;
+  error.details = data.details;
+  return error;
+};
+
+/**
+ * Save a downloaded file. Downloads need the JWT, so files are fetched and
+ * saved rather than linked to directly.
+ * @param {Response} response - The successful response
+ * @param {string} [filename] - Name to save the file under, by default the
+ *   one the server suggests
+ * @returns {Promise<void>}
+ */
+const saveResponse = async (response, filename) => {
+  const suggested = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+  
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename || (suggested ? suggested[1] : 'download');
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Log in and store the returned tokens
+ * @param {string} username - Username or email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} The logged-in user
+ */
+export const login = async (username, password) => {
+  try {
+    const response = await apiFetch('/api/login', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ username, password }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const { user, ...tokens } = await response.json();
+    setSessionTokens(tokens);
+    
+    return user;
+  } catch (error) {
+    console.error('Error logging in:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Create an account and store the returned tokens
+ * @param {Object} details - username, name, email and password
+ * @returns {Promise<Object>} The new user
+ */
+export const register = async (details) => {
+  try {
+    const response = await apiFetch('/api/register', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(details),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const { user, ...tokens } = await response.json();
+    setSessionTokens(tokens);
+    
+    return user;
+  } catch (error) {
+    console.error('Error registering:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * End the session on the server and forget its tokens. The tokens are
+ * forgotten even when the server cannot be reached.
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+  const refreshToken = getRefreshToken();
+  setSessionTokens(null);
+  
+  if (!refreshToken) return;
+  
+  try {
+    await fetch('/api/logout', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ refresh_token: refreshToken }),
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+  }
+};
+
+/**
+ * End every session of the current user, on all their devices, including
+ * this one
+ * @returns {Promise<Object>} { revoked } - number of sessions ended
+ */
+export const logoutAllDevices = async () => {
+  try {
+    const response = await apiFetch('/api/logout/all', { method: 'POST' });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    setSessionTokens(null);
+    
+    return data;
+  } catch (error) {
+    console.error('Error logging out of all devices:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Ask for a password reset link to be emailed
+ * @param {string} email - The account's email address
+ * @returns {Promise<Object>} { message } - the same whether or not the
+ *   address has an account
+ */
+export const requestPasswordReset = async (email) => {
+  try {
+    const response = await apiFetch('/api/password/forgot', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ email }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Choose a new password with the token from a reset link; every session is
+ * logged out
+ * @param {string} token - Token from the reset link
+ * @param {string} password - The new password
+ * @returns {Promise<Object>} { message }
+ */
+export const resetPassword = async (token, password) => {
+  try {
+    const response = await apiFetch('/api/password/reset', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token, password }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Verify the user's email address with the token from a verification link
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} { message }
+ */
+export const verifyEmail = async (token) => {
+  try {
+    const response = await apiFetch(`/api/verify-email/${encodeURIComponent(token)}`);
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/user'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Find out which single sign-on methods the server offers
+ * @returns {Promise<Object>} { oidc, saml } flags
+ */
+export const getSsoProviders = async () => {
+  try {
+    const response = await apiFetch('/api/auth/sso');
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching SSO providers:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * URL that starts a single sign-on login; the browser is sent there and
+ * comes back to #/sso with a one-time code
+ * @param {string} protocol - 'oidc' or 'saml'
+ * @returns {string}
+ */
+export const getSsoLoginUrl = (protocol) => `/api/auth/${protocol}/login`;
+
+/**
+ * Trade the one-time code from a single sign-on login for tokens and store them
+ * @param {string} code - Code from the #/sso redirect
+ * @returns {Promise<Object>} The logged-in user
+ */
+export const exchangeSsoCode = async (code) => {
+  try {
+    const response = await apiFetch('/api/auth/sso/exchange', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ code }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const { user, ...tokens } = await response.json();
+    setSessionTokens(tokens);
+    
+    return user;
+  } catch (error) {
+    console.error('Error completing single sign-on:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get the logged-in user with their skills and stats
+ * @returns {Promise<Object>} The current user
+ */
+export const getCurrentUser = async () => {
+  try {
+    const response = await apiFetch('/api/user');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
 /**
  * Get course recommendations for the current user
- * @param {string} sortBy - How to sort the recommendations ('relevance' or 'newest')
- * @returns {Promise<Array>} Array of recommended courses with progress info
+ * @param {string} sortBy - How to sort the recommendations ('relevance', 'newest' or 'rating')
+ * @returns {Promise<Array>} Array of recommended courses with progress info,
+ *   relevance_score, score_breakdown and recommendation_reason
  */
 export const getRecommendations = async (sortBy = 'relevance') => {
   try {
-    const response = await fetch(`/api/recommendations?sortBy=${sortBy}`);
+    const response = await apiFetch(`/api/recommendations?sortBy=${sortBy}`);
     if (!response.ok) {
-      throw new Error(`Error ${response.status}: ${response.statusText}`);
+      throw await responseError(response);
     }
     return await response.json();
   } catch (error) {
@@ -43,13 +491,15 @@ export const getRecommendations = async (sortBy = 'relevance') => {
 
 /**
  * Update a user's progress in a course
+ * Progress is tracked per module, so the stored value is rounded down to
+ * the whole modules that fit within the requested percentage.
  * @param {number} courseId - The ID of the course
  * @param {number} progress - Progress percentage (0-100)
  * @returns {Promise<Object>} Updated progress object
  */
 export const updateCourseProgress = async (courseId, progress) => {
   try {
-    const response = await fetch(`/api/courses/${courseId}/progress`, {
+    const response = await idempotentFetch(`/api/courses/${courseId}/progress`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -58,7 +508,7 @@ export const updateCourseProgress = async (courseId, progress) => {
     });
     
     if (!response.ok) {
-      throw new Error(`Error ${response.status}: ${response.statusText}`);
+      throw await responseError(response);
     }
     
     const data = await response.json();
@@ -68,6 +518,16 @@ export const updateCourseProgress = async (courseId, progress) => {
       window.queryClient.invalidateQueries({ queryKey: ['/api/recommendations'] });
       window.queryClient.invalidateQueries({ queryKey: ['/api/courses'] });
       window.queryClient.invalidateQueries({ queryKey: [`/api/courses/${courseId}`] });
+      window.queryClient.invalidateQueries({ queryKey: [`/api/courses/${courseId}/modules`] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/skills'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/assignments/mine'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/user'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/users'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/history'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/paths'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/prerequisites/mine'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/me/achievements'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/leaderboards'] });
     }
     
     return data;
@@ -78,13 +538,34 @@ export const updateCourseProgress = async (courseId, progress) => {
 };
 
 /**
- * Dismiss a course recommendation
- * @param {number} courseId - The ID of the course to dismiss
- * @returns {Promise<Object>} API response
+ * Get the user's per-module progress in a course
+ * @param {number} courseId - The ID of the course
+ * @returns {Promise<Object>} Derived progress, resume_module index and
+ *   modules with their status
  */
-export const dismissCourse = async (courseId) => {
+export const getModuleProgress = async (courseId) => {
+  try {
+    const response = await apiFetch(`/api/courses/${courseId}/modules`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching module progress:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Mark a course module as started or completed
+ * @param {number} courseId - The ID of the course
+ * @param {number} moduleIndex - Zero-based index of the module
+ * @param {string} action - 'start' or 'complete'
+ * @returns {Promise<Object>} Updated course progress with module breakdown
+ */
+export const updateModuleProgress = async (courseId, moduleIndex, action = 'complete') => {
   try {
-    const response = await fetch(`/api/courses/${courseId}/dismiss`, {
+    const response = await idempotentFetch(`/api/courses/${courseId}/modules/${moduleIndex}/${action}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -93,7 +574,7 @@ export const dismissCourse = async (courseId) => {
     });
     
     if (!response.ok) {
-      throw new Error(`Error ${response.status}: ${response.statusText}`);
+      throw await responseError(response);
     }
     
     const data = await response.json();
@@ -101,67 +582,1169 @@ export const dismissCourse = async (courseId) => {
     // Invalidate relevant cache entries if using a cache
     if (typeof window !== 'undefined' && window.queryClient) {
       window.queryClient.invalidateQueries({ queryKey: ['/api/recommendations'] });
+      window.queryClient.invalidateQueries({ queryKey: [`/api/courses/${courseId}/modules`] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/skills'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/assignments/mine'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/user'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/users'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/history'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/paths'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/prerequisites/mine'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/me/achievements'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/leaderboards'] });
     }
     
     return data;
   } catch (error) {
-    console.error('Error dismissing course:', error);
+    console.error('Error updating module progress:', error);
     throw new Error(handleApiError(error));
   }
 };
 
 /**
- * Get the user's training history
- * @returns {Promise<Array>} Array of completed courses with details
+ * Get a course's assessments with the user's best score on each
+ * @param {number} courseId - The ID of the course
+ * @returns {Promise<Array>} Assessments with best_score, attempts and passed
  */
-export const getTrainingHistory = async () => {
+export const getAssessments = async (courseId) => {
   try {
-    const response = await fetch('/api/history');
+    const response = await apiFetch(`/api/courses/${courseId}/assessments`);
     if (!response.ok) {
-      throw new Error(`Error ${response.status}: ${response.statusText}`);
+      throw await responseError(response);
     }
     return await response.json();
   } catch (error) {
-    console.error('Error fetching training history:', error);
+    console.error('Error fetching assessments:', error);
     throw new Error(handleApiError(error));
   }
 };
 
 /**
- * Get the user's skills data
- * @returns {Promise<Object>} User's skills and proficiency levels
+ * Get an assessment's questions (answers are never sent to the client)
+ * @param {number} courseId - The ID of the course
+ * @param {number} assessmentId - The ID of the assessment
+ * @returns {Promise<Object>} Assessment with questions and options
  */
-export const getSkills = async () => {
+export const getAssessment = async (courseId, assessmentId) => {
   try {
-    const response = await fetch('/api/skills');
+    const response = await apiFetch(`/api/courses/${courseId}/assessments/${assessmentId}`);
     if (!response.ok) {
-      throw new Error(`Error ${response.status}: ${response.statusText}`);
+      throw await responseError(response);
     }
     return await response.json();
   } catch (error) {
-    console.error('Error fetching skills:', error);
+    console.error('Error fetching assessment:', error);
     throw new Error(handleApiError(error));
   }
 };
 
 /**
- * Get details for a specific course
+ * Submit answers to an assessment for grading
  * @param {number} courseId - The ID of the course
- * @returns {Promise<Object>} Course details
+ * @param {number} assessmentId - The ID of the assessment
+ * @param {Array<number>} answers - Chosen option index for each question
+ * @returns {Promise<Object>} Graded attempt, per-question results and the
+ *   updated course progress
  */
-export const getCourseDetails = async (courseId) => {
+export const submitAssessmentAttempt = async (courseId, assessmentId, answers) => {
   try {
-    const response = await fetch(`/api/courses/${courseId}`);
-    if (!response.ok) {
-      throw new Error(`Error ${response.status}: ${response.statusText}`);
-    }
-    return await response.json();
-  } catch (error) {
+    const response = await apiFetch(`/api/courses/${courseId}/assessments/${assessmentId}/attempts`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ answers }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/recommendations'] });
+      window.queryClient.invalidateQueries({ queryKey: [`/api/courses/${courseId}/modules`] });
+      window.queryClient.invalidateQueries({ queryKey: [`/api/courses/${courseId}/assessments`] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/skills'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/assignments/mine'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/user'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/users'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/history'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/paths'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/prerequisites/mine'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/me/achievements'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/leaderboards'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error submitting assessment attempt:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Dismiss a course recommendation
+ * @param {number} courseId - The ID of the course to dismiss
+ * @returns {Promise<Object>} API response
+ */
+export const dismissCourse = async (courseId) => {
+  try {
+    const response = await apiFetch(`/api/courses/${courseId}/dismiss`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({}),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/recommendations'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error dismissing course:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get the user's training history
+ * @returns {Promise<Array>} Array of completed courses with details
+ */
+export const getTrainingHistory = async () => {
+  try {
+    const response = await apiFetch('/api/history');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching training history:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Download the user's training history
+ * @param {string} [format='csv'] - csv, json or xapi (xAPI statements)
+ * @returns {Promise<void>}
+ */
+export const downloadTrainingHistory = async (format = 'csv') => {
+  try {
+    const response = await apiFetch(`/api/history/export?format=${encodeURIComponent(format)}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    await saveResponse(response);
+  } catch (error) {
+    console.error('Error exporting training history:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get the certificates issued to the user
+ * @returns {Promise<Array>} Certificates with their number and course
+ */
+export const getCertificates = async () => {
+  try {
+    const response = await apiFetch('/api/certificates');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching certificates:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get the download URL of a certificate PDF
+ * @param {number} certificateId - The ID of the certificate
+ * @returns {string} URL of the PDF
+ */
+export const getCertificatePdfUrl = (certificateId) => `/api/certificates/${certificateId}.pdf`;
+
+/**
+ * Download a certificate PDF
+ * @param {number} certificateId - The ID of the certificate
+ * @param {string} [filename] - Name to save the file under
+ * @returns {Promise<void>}
+ */
+export const downloadCertificatePdf = async (certificateId, filename = `certificate-${certificateId}.pdf`) => {
+  try {
+    const response = await apiFetch(getCertificatePdfUrl(certificateId));
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    await saveResponse(response, filename);
+  } catch (error) {
+    console.error('Error downloading certificate:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Check that a certificate number is authentic (no login required)
+ * @param {string} code - Certificate number, e.g. DATA-2024-012-9F8E7D6C
+ * @returns {Promise<Object>} { valid, certificate } with the recipient,
+ *   course and issue date when valid
+ */
+export const verifyCertificate = async (code) => {
+  try {
+    const response = await apiFetch(`/api/certificates/verify/${encodeURIComponent(code)}`);
+    if (response.status === 404) {
+      return { valid: false };
+    }
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error verifying certificate:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get the user's skills data
+ * @returns {Promise<Object>} User's skills and proficiency levels
+ */
+export const getSkills = async () => {
+  try {
+    const response = await apiFetch('/api/skills');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching skills:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get the history of changes to the user's skills
+ * @returns {Promise<Array>} Skill changes, newest first, with the course
+ *   that caused each one
+ */
+export const getSkillHistory = async () => {
+  try {
+    const response = await apiFetch('/api/skills/history');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching skill history:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Search the course catalog (current versions of active courses)
+ * @param {Object} [params] - Optional q (full-text search), category, role,
+ *   skill, min_duration, max_duration (minutes), sort ('title', 'rating' or,
+ *   when searching, 'relevance'), limit and cursor (the next_cursor of the
+ *   previous page)
+ * @returns {Promise<Object>} { courses, total, next_cursor, facets } where
+ *   courses are ordered by title, or by relevance when searching, unless
+ *   sort says otherwise, and facets counts the catalog by category, role and
+ *   skill
+ */
+export const getCourses = async (params = {}) => {
+  try {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const response = await apiFetch(`/api/courses${query.toString() ? `?${query}` : ''}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching courses:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get details for a specific course
+ * @param {number} courseId - The ID of the course
+ * @returns {Promise<Object>} Course details
+ */
+export const getCourseDetails = async (courseId) => {
+  try {
+    const response = await apiFetch(`/api/courses/${courseId}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
     console.error('Error fetching course details:', error);
     throw new Error(handleApiError(error));
   }
 };
 
+/**
+ * Send a course to the authoring API, keeping any per-field validation
+ * errors on the thrown error as `details`
+ * @param {string} method - 'POST' or 'PUT'
+ * @param {string} url - Endpoint URL
+ * @param {Object} course - Course fields
+ * @returns {Promise<Object>} The saved course
+ */
+const sendCourse = async (method, url, course) => {
+  const response = await apiFetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(course),
+  });
+  
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+  
+  const data = await response.json();
+  
+  // Invalidate relevant cache entries if using a cache
+  if (typeof window !== 'undefined' && window.queryClient) {
+    window.queryClient.invalidateQueries({ queryKey: ['/api/courses'] });
+    window.queryClient.invalidateQueries({ queryKey: ['/api/admin/courses'] });
+    window.queryClient.invalidateQueries({ queryKey: ['/api/recommendations'] });
+    window.queryClient.invalidateQueries({ queryKey: ['/api/paths'] });
+  }
+  
+  return data;
+};
+
+/**
+ * Get the latest version of every course, including archived ones (admin only)
+ * @returns {Promise<Array>} Courses with version and archived_at
+ */
+export const getAdminCourses = async () => {
+  try {
+    const response = await apiFetch('/api/admin/courses');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching admin courses:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Create a course (admin only)
+ * @param {Object} course - title, description, instructor, category, modules
+ *   ([{ title, duration }]), learning_outcomes, recommended_roles,
+ *   recommended_skills and optional image_path and skill_gains
+ * @returns {Promise<Object>} The created course
+ * @throws {Error} With `details` keyed by field when validation fails
+ */
+export const createCourse = async (course) => {
+  try {
+    return await sendCourse('POST', '/api/courses', course);
+  } catch (error) {
+    console.error('Error creating course:', error);
+    throw error;
+  }
+};
+
+/**
+ * Edit a course (admin only). The server saves the changes as a new
+ * version, so the returned course has a new ID.
+ * @param {number} courseId - The ID of the current version
+ * @param {Object} changes - Course fields to change
+ * @returns {Promise<Object>} The new version of the course
+ * @throws {Error} With `details` keyed by field when validation fails
+ */
+export const updateCourse = async (courseId, changes) => {
+  try {
+    return await sendCourse('PUT', `/api/courses/${courseId}`, changes);
+  } catch (error) {
+    console.error('Error updating course:', error);
+    throw error;
+  }
+};
+
+// Import format for each file extension
+const IMPORT_FORMATS = { csv: 'csv', json: 'json', zip: 'scorm' };
+
+/**
+ * Import courses from a CSV or JSON catalog or a SCORM package (admin only)
+ * @param {File} file - .csv, .json or .zip (SCORM 1.2 or 2004) file
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only check the courses
+ * @param {Object} [options.defaults] - Course fields for courses that leave
+ *   them out, e.g. { category, instructor, recommended_roles: 'A|B' }
+ * @returns {Promise<Object>} The report: { valid, dry_run, imported, rows }
+ *   with each row's errors keyed by field. Nothing is imported unless
+ *   every row is valid.
+ */
+export const importCourses = async (file, { dryRun = false, defaults = {} } = {}) => {
+  try {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const query = new URLSearchParams({ format: IMPORT_FORMATS[extension] || extension, dry_run: String(dryRun) });
+    
+    Object.entries(defaults)
+      .filter(([, value]) => value)
+      .forEach(([field, value]) => query.append(`defaults[${field}]`, value));
+    
+    const response = await apiFetch(`/api/admin/courses/import?${query}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+      },
+      body: file,
+    });
+    
+    // A file with invalid rows still comes back with its report
+    if (!response.ok && response.status !== 422) {
+      throw await responseError(response);
+    }
+    
+    const report = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (report.imported > 0 && typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/courses'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/admin/courses'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/recommendations'] });
+    }
+    
+    return report;
+  } catch (error) {
+    console.error('Error importing courses:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Archive a course (admin only). It is hidden from the catalog and
+ * recommendations but kept for progress and training history.
+ * @param {number} courseId - The ID of the course
+ * @returns {Promise<Object>} The archived course
+ */
+export const archiveCourse = async (courseId) => {
+  try {
+    const response = await apiFetch(`/api/courses/${courseId}`, { method: 'DELETE' });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/courses'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/admin/courses'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/recommendations'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/paths'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error archiving course:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get a course's average rating and its most recent published reviews
+ * @param {number} courseId - The ID of any version of the course
+ * @param {number} [limit=10] - Maximum number of reviews
+ * @returns {Promise<Object>} { rating, review_count, reviews }
+ */
+export const getCourseReviews = async (courseId, limit = 10) => {
+  try {
+    const response = await apiFetch(`/api/courses/${courseId}/reviews?limit=${limit}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching course reviews:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Rate and review a completed course; a second review replaces the first
+ * @param {number} courseId - The ID of any version of the course
+ * @param {number} rating - Whole number from 1 to 5
+ * @param {string} body - Written review
+ * @returns {Promise<Object>} { review, created, rating, review_count }
+ * @throws {Error} With `details` keyed by field when validation fails
+ */
+export const submitCourseReview = async (courseId, rating, body) => {
+  try {
+    const response = await apiFetch(`/api/courses/${courseId}/reviews`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ rating, body }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: [`/api/courses/${courseId}/reviews`] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/courses'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/recommendations'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/admin/reviews'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error submitting course review:', error);
+    throw error;
+  }
+};
+
+/**
+ * List course reviews for moderation (admin only)
+ * @param {string|null} [status=null] - 'published' or 'hidden', or null for all
+ * @returns {Promise<Array>} Reviews with course_title, reviewer_name and
+ *   reviewer_email
+ */
+export const getReviewsForModeration = async (status = null) => {
+  try {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    const response = await apiFetch(`/api/admin/reviews${query}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching reviews for moderation:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Hide or republish a course review (admin only)
+ * @param {number} reviewId - The ID of the review
+ * @param {string} status - 'published' or 'hidden'
+ * @returns {Promise<Object>} { review, rating, review_count }
+ */
+export const moderateReview = async (reviewId, status) => {
+  try {
+    const response = await apiFetch(`/api/admin/reviews/${reviewId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ status }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/admin/reviews'] });
+      window.queryClient.invalidateQueries({ queryKey: [`/api/courses/${data.review.course_id}/reviews`] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/courses'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/recommendations'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * List users with their roles (admin only)
+ * @returns {Promise<Array>} Users with id, name, email, role, job_title and manager_id
+ */
+export const getUsers = async () => {
+  try {
+    const response = await apiFetch('/api/users');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Assign a role to a user (admin only)
+ * @param {number} userId - The ID of the user
+ * @param {string} role - 'admin', 'manager' or 'learner'
+ * @returns {Promise<Object>} The updated user
+ */
+export const assignRole = async (userId, role) => {
+  try {
+    const response = await apiFetch(`/api/users/${userId}/role`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ role }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/users'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error assigning role:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Set or clear a user's job title, which course recommendations are
+ * matched on (admin only)
+ * @param {number} userId - The ID of the user
+ * @param {string|null} jobTitle - e.g. 'Analyst', or null to clear it
+ * @returns {Promise<Object>} The updated user
+ */
+export const setJobTitle = async (userId, jobTitle) => {
+  try {
+    const response = await apiFetch(`/api/users/${userId}/job-title`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ job_title: jobTitle }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/users'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error setting job title:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get a user's course progress. Users can read their own, managers their
+ * direct reports' and admins anyone's.
+ * @param {number} userId - The ID of the user
+ * @returns {Promise<Object>} { user, skills, stats, courses }
+ */
+export const getUserProgress = async (userId) => {
+  try {
+    const response = await apiFetch(`/api/users/${userId}/progress`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching user progress:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Assign a user to a manager, or clear their manager (admin only)
+ * @param {number} userId - The ID of the user
+ * @param {number|null} managerId - The manager's user ID, or null
+ * @returns {Promise<Object>} The updated user
+ */
+export const setManager = async (userId, managerId) => {
+  try {
+    const response = await apiFetch(`/api/users/${userId}/manager`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ manager_id: managerId }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/users'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/team'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error setting manager:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Download the whole organization's training records (admins only)
+ * @param {string} [dataset='history'] - history, progress or skills
+ * @param {string} [format='csv'] - csv or json; xapi for history too
+ * @returns {Promise<void>}
+ */
+export const downloadOrganizationExport = async (dataset = 'history', format = 'csv') => {
+  try {
+    const response = await apiFetch(`/api/admin/export?${new URLSearchParams({ dataset, format })}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    await saveResponse(response);
+  } catch (error) {
+    console.error('Error exporting organization records:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get course progress and overdue items for the current manager's direct reports
+ * @returns {Promise<Object>} { summary, members }
+ */
+export const getTeamProgress = async () => {
+  try {
+    const response = await apiFetch('/api/team/progress');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching team progress:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get skill levels, averages and weakest areas for the current manager's
+ * direct reports
+ * @returns {Promise<Object>} { averages, weakest_skill, members }
+ */
+export const getTeamSkills = async () => {
+  try {
+    const response = await apiFetch('/api/team/skills');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching team skills:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get the courses assigned to the current user, directly, through their role
+ * or through a group
+ * @returns {Promise<Array>} Assignments with due_at, status, progress and overdue
+ */
+export const getMyAssignments = async () => {
+  try {
+    const response = await apiFetch('/api/assignments/mine');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching assignments:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Assign a course with a due date (managers: to direct reports; admins: to
+ * any user, role or group). Per-field validation errors are kept on the
+ * thrown error as `details`.
+ * @param {Object} assignment - course_id, due_at and one of user_id, role or group_id
+ * @returns {Promise<Object>} The created assignment
+ */
+export const createAssignment = async (assignment) => {
+  try {
+    const response = await apiFetch('/api/assignments', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(assignment),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/assignments/mine'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/team'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error creating assignment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user groups courses can be assigned to (managers and admins)
+ * @returns {Promise<Array>} Groups with member_count
+ */
+export const getGroups = async () => {
+  try {
+    const response = await apiFetch('/api/groups');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Create a user group (admin only)
+ * @param {string} name - Group name
+ * @param {Array<number>} userIds - IDs of the members
+ * @returns {Promise<Object>} The group with user_ids
+ */
+export const createGroup = async (name, userIds = []) => {
+  try {
+    const response = await apiFetch('/api/groups', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ name, user_ids: userIds }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/groups'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error creating group:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Replace the members of a user group (admin only)
+ * @param {number} groupId - The ID of the group
+ * @param {Array<number>} userIds - IDs of every member
+ * @returns {Promise<Object>} The group with user_ids
+ */
+export const setGroupMembers = async (groupId, userIds) => {
+  try {
+    const response = await apiFetch(`/api/groups/${groupId}/members`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ user_ids: userIds }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/groups'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/assignments/mine'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error updating group members:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * List learning paths with the user's progress through each
+ * @returns {Promise<Array>} Paths with enrolled_at, courses (in order, each
+ *   with progress, status and missing_prerequisites), completed_courses,
+ *   total_courses, progress and status
+ */
+export const getLearningPaths = async () => {
+  try {
+    const response = await apiFetch('/api/paths');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching learning paths:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get a learning path with the user's progress through it
+ * @param {number} pathId - The ID of the path
+ * @returns {Promise<Object>} The path, as in getLearningPaths
+ */
+export const getLearningPath = async (pathId) => {
+  try {
+    const response = await apiFetch(`/api/paths/${pathId}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching learning path:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Create a learning path (admin only)
+ * @param {Object} path - title, optional description and course_ids in order
+ * @returns {Promise<Object>} The created path
+ * @throws {Error} With `details` keyed by field when validation fails
+ */
+export const createLearningPath = async (path) => {
+  try {
+    const response = await apiFetch('/api/paths', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(path),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/paths'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error creating learning path:', error);
+    throw error;
+  }
+};
+
+/**
+ * Enroll in a learning path
+ * @param {number} pathId - The ID of the path
+ * @returns {Promise<Object>} The path with the user's progress
+ */
+export const enrollInPath = async (pathId) => {
+  try {
+    const response = await apiFetch(`/api/paths/${pathId}/enroll`, { method: 'POST' });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/paths'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error enrolling in learning path:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * List the courses the user cannot start until they complete other courses
+ * @returns {Promise<Array>} { lineage_id, missing: [{ id, title }] } for each
+ *   locked course
+ */
+export const getLockedCourses = async () => {
+  try {
+    const response = await apiFetch('/api/prerequisites/mine');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching locked courses:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Replace the courses that must be completed before a course (admin only)
+ * @param {number} courseId - The ID of the course
+ * @param {Array<number>} prerequisiteIds - IDs of the required courses
+ * @returns {Promise<Object>} { course_id, prerequisite_ids }
+ */
+export const setCoursePrerequisites = async (courseId, prerequisiteIds) => {
+  try {
+    const response = await apiFetch(`/api/courses/${courseId}/prerequisites`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ prerequisite_ids: prerequisiteIds }),
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/prerequisites/mine'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/paths'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error setting course prerequisites:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get the current user's XP, level, learning streak and badges
+ * @returns {Promise<Object>} { xp, level, level_xp, next_level_xp, streak:
+ *   { current, longest, last_active_on }, badges, recent_xp }
+ */
+export const getAchievements = async () => {
+  try {
+    const response = await apiFetch('/api/me/achievements');
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching achievements:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Get a leaderboard
+ * @param {Object} [params] - Optional metric ('courses_completed', 'hours'
+ *   or 'skill_growth'), period ('week', 'month' or 'all'), scope
+ *   ('organization', 'role' or 'team'), role and limit
+ * @returns {Promise<Object>} { metric, period, scope, entries, me, opted_out }
+ *   where entries are ranked users with rank, name, value and is_me
+ */
+export const getLeaderboard = async (params = {}) => {
+  try {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    const response = await apiFetch(`/api/leaderboards${query.toString() ? `?${query}` : ''}`);
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
+/**
+ * Hide the current user from leaderboards, or show them again
+ * @param {boolean} optOut - Whether to leave the user out of leaderboards
+ * @returns {Promise<Object>} { leaderboard_opt_out }
+ */
+export const setLeaderboardOptOut = async (optOut) => {
+  try {
+    const response = await apiFetch('/api/me/leaderboard', {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ opt_out: optOut })
+    });
+    
+    if (!response.ok) {
+      throw await responseError(response);
+    }
+    
+    const data = await response.json();
+    
+    // Invalidate relevant cache entries if using a cache
+    if (typeof window !== 'undefined' && window.queryClient) {
+      window.queryClient.invalidateQueries({ queryKey: ['/api/leaderboards'] });
+      window.queryClient.invalidateQueries({ queryKey: ['/api/user'] });
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error updating leaderboard preference:', error);
+    throw new Error(handleApiError(error));
+  }
+};
+
 // ==================== SERVER-SIDE API HANDLERS ====================
 
 /**
@@ -0,0 +1,35 @@
+// Delete rows the app no longer needs
+//
+//   node cleanup.js
+//
+// Removes rate limit attempts past their retention period (see
+// lib/ratelimits.js) and expired idempotency keys (see lib/idempotency.js).
+// The server only deletes a user's expired keys when they send another, and
+// attempts never, so run this regularly, e.g. daily from cron. The database is the one DATABASE_URL
+// names, as for the server.
+
+const { createPool } = require('./lib/db');
+const { deleteExpiredAttempts } = require('./lib/ratelimits');
+const { deleteExpiredIdempotencyKeys } = require('./lib/idempotency');
+
+const main = async () => {
+  const unknown = process.argv[2];
+  if (unknown) throw new Error(`Unknown option ${unknown}\nUsage: node cleanup.js`);
+
+  const pool = createPool();
+
+  try {
+    const attempts = await deleteExpiredAttempts(pool);
+    console.log(`Deleted ${attempts} rate limit attempt(s)`);
+
+    const keys = await deleteExpiredIdempotencyKeys(pool);
+    console.log(`Deleted ${keys} expired idempotency key(s)`);
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
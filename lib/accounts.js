@@ -0,0 +1,139 @@
+// Email verification and password reset
+//
+// Both flows email the user a link holding a random token. Only a SHA-256
+// hash of the token is stored in account_tokens, along with what it is for
+// and when it expires, and using a token marks it used in the same
+// statement that checks it, so each token works once.
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { withTransaction } = require('./db');
+const { revokeAllSessions } = require('./sessions');
+
+// How long each kind of token lasts
+const ACCOUNT_TOKEN_TTL_HOURS = {
+  email_verification: 24,
+  password_reset: 1
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Check a new password meets the minimum requirements
+ * @param {any} password - Password from the API
+ * @returns {string|null} The problem with it, or null when it is acceptable
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token from a link
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a token for a user; earlier unused tokens for the same purpose stop
+ * working
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {string} purpose - Key of ACCOUNT_TOKEN_TTL_HOURS
+ * @returns {Promise<string>} The token, to be put in a link
+ */
+const createAccountToken = async (db, userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  await db.query(
+    'UPDATE account_tokens SET used_at = $1 WHERE user_id = $2 AND purpose = $3 AND used_at IS NULL',
+    [now, userId, purpose]
+  );
+
+  await db.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, purpose, hashToken(token), new Date(now.getTime() + ACCOUNT_TOKEN_TTL_HOURS[purpose] * 60 * 60 * 1000)]
+  );
+
+  return token;
+};
+
+/**
+ * Use up a token
+ * @param {Object} db - pg Pool or client
+ * @param {string} token - Token from a link
+ * @param {string} purpose - What the token must be for
+ * @returns {Promise<number|null>} The token's user ID, or null when it is
+ *   unknown, for another purpose, expired or already used
+ */
+const consumeAccountToken = async (db, token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const now = new Date();
+  const result = await db.query(
+    `UPDATE account_tokens SET used_at = $1
+     WHERE token_hash = $2 AND purpose = $3 AND used_at IS NULL AND expires_at > $1
+     RETURNING user_id`,
+    [now, hashToken(token), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+/**
+ * Mark a user's email address verified with a token from their verification
+ * email
+ * @param {Object} db - pg Pool or client
+ * @param {string} token - Token from the link
+ * @returns {Promise<boolean>} Whether the token was valid
+ */
+const verifyEmail = (db, token) => withTransaction(db, async (client) => {
+  const userId = await consumeAccountToken(client, token, 'email_verification');
+  if (userId === null) return false;
+
+  await client.query(
+    'UPDATE users SET email_verified_at = COALESCE(email_verified_at, $1) WHERE id = $2',
+    [new Date(), userId]
+  );
+
+  return true;
+});
+
+/**
+ * Set a new password with a token from a password reset email. Every
+ * session is logged out, since the old password may have been compromised.
+ * @param {Object} db - pg Pool or client
+ * @param {string} token - Token from the link
+ * @param {string} password - New password, already validated
+ * @returns {Promise<boolean>} Whether the token was valid
+ */
+const resetPassword = async (db, token, password) => {
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  return withTransaction(db, async (client) => {
+    const userId = await consumeAccountToken(client, token, 'password_reset');
+    if (userId === null) return false;
+
+    // Following the link proves the user can read mail sent to the address
+    await client.query(
+      'UPDATE users SET password = $1, email_verified_at = COALESCE(email_verified_at, $2) WHERE id = $3',
+      [hashedPassword, new Date(), userId]
+    );
+    await revokeAllSessions(client, userId);
+
+    return true;
+  });
+};
+
+module.exports = {
+  ACCOUNT_TOKEN_TTL_HOURS,
+  validatePassword,
+  createAccountToken,
+  verifyEmail,
+  resetPassword
+};
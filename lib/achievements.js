@@ -0,0 +1,292 @@
+// XP, streaks and badges
+//
+// Progress updates are turned into learning events by lib/progress.js and
+// recorded here: each event can award XP once, every update marks the day as
+// active for the learner's streak, and badges are granted as soon as their
+// rule is met. XP and badges are kept once earned, even if progress is later
+// reset.
+
+// XP for each kind of event
+const XP_REWARDS = {
+  module_completed: 10,
+  course_completed: 100
+};
+
+// XP needed for each level
+const XP_PER_LEVEL = 500;
+
+// Badges learners can earn. Add a badge by adding an entry; its rule is one of
+//   { type: 'courses_completed', count, category? } - completed courses,
+//     optionally only those in one category
+//   { type: 'modules_completed', count } - completed modules
+//   { type: 'streak', days } - consecutive days with progress
+//   { type: 'xp', amount } - total XP
+const BADGES = [
+  {
+    id: 'first-module',
+    name: 'First Steps',
+    description: 'Complete your first module',
+    rule: { type: 'modules_completed', count: 1 }
+  },
+  {
+    id: 'first-course',
+    name: 'First Course',
+    description: 'Complete your first course',
+    rule: { type: 'courses_completed', count: 1 }
+  },
+  {
+    id: 'five-courses',
+    name: 'Dedicated Learner',
+    description: 'Complete 5 courses',
+    rule: { type: 'courses_completed', count: 5 }
+  },
+  {
+    id: 'five-leadership-courses',
+    name: 'Leadership Track',
+    description: 'Complete 5 Leadership courses',
+    rule: { type: 'courses_completed', count: 5, category: 'Leadership' }
+  },
+  {
+    id: 'streak-7',
+    name: 'On a Roll',
+    description: 'Learn 7 days in a row',
+    rule: { type: 'streak', days: 7 }
+  },
+  {
+    id: 'streak-30',
+    name: 'Habit Formed',
+    description: 'Learn 30 days in a row',
+    rule: { type: 'streak', days: 30 }
+  },
+  {
+    id: 'xp-1000',
+    name: 'XP Collector',
+    description: 'Earn 1,000 XP',
+    rule: { type: 'xp', amount: 1000 }
+  }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC calendar day of a date, as stored in learning_activity_days
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Work out the current and longest streaks from the days with activity
+ * @param {Array<string>} days - YYYY-MM-DD days, oldest first
+ * @param {Date} now - The current time
+ * @returns {Object} { current, longest, last_active_on } where the current
+ *   streak is still alive when the last active day was yesterday
+ */
+const calculateStreak = (days, now) => {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  for (const day of days) {
+    const time = Date.parse(day);
+    run = previous !== null && time - previous === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = time;
+  }
+
+  const lastActiveOn = days.length > 0 ? days[days.length - 1] : null;
+  const sinceLastActive = lastActiveOn ? Date.parse(toDay(now)) - Date.parse(lastActiveOn) : null;
+  const current = sinceLastActive !== null && sinceLastActive <= DAY_MS ? run : 0;
+
+  return { current, longest, last_active_on: lastActiveOn };
+};
+
+/**
+ * Load the figures badge rules are checked against
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {Date} now - The current time
+ * @returns {Promise<Object>} { xp, streak, modulesCompleted, coursesCompleted,
+ *   coursesByCategory }
+ */
+const getAchievementStats = async (db, userId, now) => {
+  const xpResult = await db.query(
+    'SELECT COALESCE(SUM(xp), 0)::int as xp FROM xp_events WHERE user_id = $1',
+    [userId]
+  );
+
+  const daysResult = await db.query(
+    `SELECT to_char(activity_date, 'YYYY-MM-DD') as day
+     FROM learning_activity_days
+     WHERE user_id = $1
+     ORDER BY activity_date`,
+    [userId]
+  );
+
+  const modulesResult = await db.query(
+    `SELECT COUNT(*)::int as count
+     FROM user_module_progress
+     WHERE user_id = $1 AND status = 'completed'`,
+    [userId]
+  );
+
+  // Each course counts once, whichever versions were completed
+  const coursesResult = await db.query(
+    `SELECT DISTINCT COALESCE(c.lineage_id, c.id) as lineage_id, c.category
+     FROM user_course_progress ucp
+     JOIN courses c ON ucp.course_id = c.id
+     WHERE ucp.user_id = $1 AND ucp.status = 'completed'`,
+    [userId]
+  );
+
+  const coursesByCategory = new Map();
+  for (const row of coursesResult.rows) {
+    coursesByCategory.set(row.category, (coursesByCategory.get(row.category) || new Set()).add(row.lineage_id));
+  }
+
+  return {
+    xp: xpResult.rows[0].xp,
+    streak: calculateStreak(daysResult.rows.map(row => row.day), now),
+    modulesCompleted: modulesResult.rows[0].count,
+    coursesCompleted: new Set(coursesResult.rows.map(row => row.lineage_id)).size,
+    coursesByCategory
+  };
+};
+
+/**
+ * Check whether a badge's rule is met
+ * @param {Object} rule - Rule from BADGES
+ * @param {Object} stats - Figures from getAchievementStats
+ * @returns {boolean}
+ */
+const meetsRule = (rule, stats) => {
+  switch (rule.type) {
+    case 'courses_completed': {
+      const completed = rule.category
+        ? (stats.coursesByCategory.get(rule.category) || new Set()).size
+        : stats.coursesCompleted;
+      return completed >= rule.count;
+    }
+    case 'modules_completed':
+      return stats.modulesCompleted >= rule.count;
+    case 'streak':
+      return stats.streak.current >= rule.days;
+    case 'xp':
+      return stats.xp >= rule.amount;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Record a progress update: award XP for its events, mark the day active
+ * and grant any badges now earned
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {Array<Object>} events - { type: 'module_completed', course,
+ *   moduleIndex } or { type: 'course_completed', course }; events that have
+ *   already earned XP are ignored
+ * @param {Object} [options]
+ * @param {Date} [options.at=new Date()] - When the update happened
+ * @returns {Promise<Object>} { xp_awarded, badges_earned, streak }
+ */
+const recordLearningActivity = async (db, userId, events, { at = new Date() } = {}) => {
+  let xpAwarded = 0;
+
+  for (const event of events) {
+    // Modules belong to one version; a course counts once across versions
+    const sourceKey = event.type === 'module_completed'
+      ? `module:${event.course.id}:${event.moduleIndex}`
+      : `course:${event.course.lineage_id || event.course.id}`;
+
+    const result = await db.query(
+      `INSERT INTO xp_events (user_id, event_type, source_key, course_id, xp, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (user_id, source_key) DO NOTHING
+       RETURNING xp`,
+      [userId, event.type, sourceKey, event.course.id, XP_REWARDS[event.type], at]
+    );
+
+    if (result.rows.length > 0) xpAwarded += result.rows[0].xp;
+  }
+
+  await db.query(
+    `INSERT INTO learning_activity_days (user_id, activity_date)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id, activity_date) DO NOTHING`,
+    [userId, toDay(at)]
+  );
+
+  const stats = await getAchievementStats(db, userId, at);
+
+  const earnedResult = await db.query('SELECT badge_id FROM user_badges WHERE user_id = $1', [userId]);
+  const earned = new Set(earnedResult.rows.map(row => row.badge_id));
+
+  const badgesEarned = [];
+  for (const badge of BADGES) {
+    if (earned.has(badge.id) || !meetsRule(badge.rule, stats)) continue;
+
+    await db.query(
+      `INSERT INTO user_badges (user_id, badge_id, earned_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, badge_id) DO NOTHING`,
+      [userId, badge.id, at]
+    );
+    badgesEarned.push({ id: badge.id, name: badge.name, description: badge.description });
+  }
+
+  return { xp_awarded: xpAwarded, badges_earned: badgesEarned, streak: stats.streak.current };
+};
+
+/**
+ * Get a user's XP, level, streak and badges
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @returns {Promise<Object>} { xp, level, level_xp, next_level_xp, streak:
+ *   { current, longest, last_active_on }, badges, recent_xp } where badges
+ *   lists every badge with earned_at (null until earned) and recent_xp the
+ *   last 10 XP awards
+ */
+const getAchievements = async (db, userId) => {
+  const now = new Date();
+  const stats = await getAchievementStats(db, userId, now);
+
+  const earnedResult = await db.query(
+    'SELECT badge_id, earned_at FROM user_badges WHERE user_id = $1',
+    [userId]
+  );
+  const earnedAt = new Map(earnedResult.rows.map(row => [row.badge_id, row.earned_at]));
+
+  const recentResult = await db.query(
+    `SELECT x.event_type, x.xp, x.created_at, x.course_id, c.title as course_title
+     FROM xp_events x
+     LEFT JOIN courses c ON x.course_id = c.id
+     WHERE x.user_id = $1
+     ORDER BY x.created_at DESC, x.id DESC
+     LIMIT 10`,
+    [userId]
+  );
+
+  return {
+    xp: stats.xp,
+    level: Math.floor(stats.xp / XP_PER_LEVEL) + 1,
+    level_xp: stats.xp % XP_PER_LEVEL,
+    next_level_xp: XP_PER_LEVEL,
+    streak: stats.streak,
+    badges: BADGES.map(badge => ({
+      id: badge.id,
+      name: badge.name,
+      description: badge.description,
+      earned_at: earnedAt.get(badge.id) || null
+    })),
+    recent_xp: recentResult.rows
+  };
+};
+
+module.exports = {
+  XP_REWARDS,
+  BADGES,
+  calculateStreak,
+  recordLearningActivity,
+  getAchievements
+};
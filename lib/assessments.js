@@ -0,0 +1,144 @@
+// Quizzes and graded assessments
+//
+// Assessments belong to a course, optionally to one of its modules, and hold
+// a bank of multiple-choice questions. Attempts are graded on the server and
+// an assessment must be passed before its module (or, for course-level
+// assessments, the course) can be completed.
+
+const { withTransaction } = require('./db');
+
+/**
+ * Strip answers from an assessment so it can be sent to learners
+ * @param {Object} assessment - Assessment row
+ * @returns {Object} Assessment with questions reduced to prompt and options
+ */
+const toPublicAssessment = (assessment) => ({
+  id: assessment.id,
+  course_id: assessment.course_id,
+  module_index: assessment.module_index,
+  title: assessment.title,
+  pass_threshold: assessment.pass_threshold,
+  max_attempts: assessment.max_attempts,
+  questions: assessment.questions.map((question, index) => ({
+    index,
+    prompt: question.prompt,
+    options: question.options,
+    points: question.points || 1
+  }))
+});
+
+/**
+ * Grade a set of answers against a question bank
+ * @param {Array<Object>} questions - Questions with prompt, options, answer
+ *   (index of the correct option) and optional points
+ * @param {Array<number>} answers - Chosen option index for each question
+ * @returns {{score: number, earned: number, total: number, results: Array<Object>}}
+ *   score is a percentage (0-100) of the available points
+ */
+const gradeAttempt = (questions, answers) => {
+  let earned = 0;
+  let total = 0;
+
+  const results = questions.map((question, index) => {
+    const points = question.points || 1;
+    const correct = answers[index] === question.answer;
+
+    total += points;
+    if (correct) earned += points;
+
+    return { index, correct };
+  });
+
+  const score = total > 0 ? Math.round((earned / total) * 100) : 0;
+
+  return { score, earned, total, results };
+};
+
+/**
+ * Grade and record an attempt, unless the user has no attempts left
+ * The assessment row is locked first so simultaneous submissions can't
+ * both pass the attempt limit.
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {Object} assessment - Assessment row
+ * @param {Array<number>} answers - Chosen option index for each question
+ * @returns {Promise<Object|null>} { attempt, earned, total, results }, or
+ *   null when no attempts remain
+ */
+const recordAttempt = (db, userId, assessment, answers) => withTransaction(db, async (client) => {
+  await client.query('SELECT id FROM assessments WHERE id = $1 FOR UPDATE', [assessment.id]);
+
+  if (assessment.max_attempts !== null) {
+    const attemptCount = await client.query(
+      'SELECT COUNT(*)::int as count FROM assessment_attempts WHERE assessment_id = $1 AND user_id = $2',
+      [assessment.id, userId]
+    );
+
+    if (attemptCount.rows[0].count >= assessment.max_attempts) return null;
+  }
+
+  const { score, earned, total, results } = gradeAttempt(assessment.questions, answers);
+
+  const attemptResult = await client.query(
+    `INSERT INTO assessment_attempts (assessment_id, user_id, answers, score, passed, submitted_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [assessment.id, userId, JSON.stringify(answers), score, score >= assessment.pass_threshold, new Date()]
+  );
+
+  return { attempt: attemptResult.rows[0], earned, total, results };
+});
+
+/**
+ * Summarize a user's standing on every assessment in a course
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {number} courseId - The course's ID
+ * @returns {Promise<Object>} assessments with best_score, attempts and passed;
+ *   blockedModules (module indexes whose assessment is not yet passed);
+ *   allPassed; and score (average best score, null when ungraded)
+ */
+const getAssessmentStatus = async (db, userId, courseId) => {
+  const result = await db.query(
+    `SELECT a.id, a.module_index, a.title, a.pass_threshold, a.max_attempts,
+            MAX(aa.score) as best_score,
+            COUNT(aa.id)::int as attempts
+     FROM assessments a
+     LEFT JOIN assessment_attempts aa ON aa.assessment_id = a.id AND aa.user_id = $1
+     WHERE a.course_id = $2
+     GROUP BY a.id, a.module_index, a.title, a.pass_threshold, a.max_attempts
+     ORDER BY a.module_index NULLS LAST, a.id`,
+    [userId, courseId]
+  );
+
+  const assessments = result.rows.map(row => ({
+    ...row,
+    best_score: row.best_score === null ? null : Number(row.best_score),
+    passed: row.best_score !== null && Number(row.best_score) >= row.pass_threshold
+  }));
+
+  const blockedModules = new Set(
+    assessments
+      .filter(assessment => assessment.module_index !== null && !assessment.passed)
+      .map(assessment => assessment.module_index)
+  );
+
+  const graded = assessments.filter(assessment => assessment.best_score !== null);
+  const score = graded.length > 0
+    ? Math.round(graded.reduce((sum, assessment) => sum + assessment.best_score, 0) / graded.length)
+    : null;
+
+  return {
+    assessments,
+    blockedModules,
+    allPassed: assessments.every(assessment => assessment.passed),
+    score
+  };
+};
+
+module.exports = {
+  toPublicAssessment,
+  gradeAttempt,
+  recordAttempt,
+  getAssessmentStatus
+};
@@ -0,0 +1,176 @@
+// Course assignments
+//
+// Managers and admins assign a course with a due date to a single user, to
+// everyone with a role or to a group. Targets are resolved when read, so
+// people who later take on the role or join the group pick the assignment
+// up too. An assignment has no state of its own: whether it is started,
+// completed or overdue comes from the learner's user_course_progress on any
+// version of the course.
+
+const { ROLES, normalizeRole } = require('./permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Progress states ordered from least to most advanced
+const STATUS_ORDER = ['not_started', 'in_progress', 'completed'];
+
+/**
+ * Validate a new assignment from the API
+ * @param {Object} input - course_id, due_at and exactly one of user_id, role
+ *   or group_id
+ * @param {Date} [now=new Date()] - Reference time; due dates must be later
+ * @returns {{assignment: Object|null, errors: Object}} The assignment ready to
+ *   store, or errors keyed by field
+ */
+const validateAssignment = (input, now = new Date()) => {
+  const errors = {};
+
+  if (!Number.isInteger(input.course_id)) {
+    errors.course_id = 'course_id must be a course ID';
+  }
+
+  const targets = ['user_id', 'role', 'group_id'].filter(field => input[field] !== undefined && input[field] !== null);
+  if (targets.length !== 1) {
+    errors.target = 'Assign to exactly one of user_id, role or group_id';
+  } else if (input.user_id !== undefined && input.user_id !== null && !Number.isInteger(input.user_id)) {
+    errors.user_id = 'user_id must be a user ID';
+  } else if (input.group_id !== undefined && input.group_id !== null && !Number.isInteger(input.group_id)) {
+    errors.group_id = 'group_id must be a group ID';
+  } else if (input.role !== undefined && input.role !== null && !ROLES.includes(input.role)) {
+    errors.role = `role must be one of ${ROLES.join(', ')}`;
+  }
+
+  const dueAt = new Date(input.due_at);
+  if (!input.due_at || isNaN(dueAt.getTime())) {
+    errors.due_at = 'due_at must be a date';
+  } else if (dueAt <= now) {
+    errors.due_at = 'due_at must be in the future';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { assignment: null, errors };
+  }
+
+  return {
+    assignment: {
+      course_id: input.course_id,
+      user_id: input.user_id ?? null,
+      role: input.role ?? null,
+      group_id: input.group_id ?? null,
+      due_at: dueAt
+    },
+    errors
+  };
+};
+
+/**
+ * Store an assignment
+ * @param {Object} db - pg Pool or client
+ * @param {Object} assignment - Assignment from validateAssignment
+ * @param {number} assignedBy - ID of the manager or admin assigning it
+ * @returns {Promise<Object>} The assignment row
+ */
+const createAssignment = async (db, assignment, assignedBy) => {
+  const result = await db.query(
+    `INSERT INTO assignments (course_id, user_id, role, group_id, due_at, assigned_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [assignment.course_id, assignment.user_id, assignment.role, assignment.group_id, assignment.due_at, assignedBy]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * List the courses assigned to a user, directly, through their role or
+ * through a group, with the state derived from their progress. A course
+ * assigned more than once is listed once, under its earliest due date.
+ * @param {Object} db - pg Pool or client
+ * @param {Object} user - User row with id and role
+ * @param {Date} [now=new Date()] - Reference time for overdue checks
+ * @returns {Promise<Array<Object>>} Assignments ordered by due date, each with
+ *   course details, status, progress, overdue and days_overdue
+ */
+const getUserAssignments = async (db, user, now = new Date()) => {
+  const assignmentsResult = await db.query(
+    `SELECT a.id, a.course_id, a.due_at, a.assigned_by, a.created_at,
+            c.title as course_title, c.category as course_category,
+            c.instructor, c.duration, c.image_path, COALESCE(c.lineage_id, c.id) as lineage_id
+     FROM assignments a
+     JOIN courses c ON a.course_id = c.id
+     LEFT JOIN user_group_members gm ON gm.group_id = a.group_id AND gm.user_id = $1
+     WHERE c.archived_at IS NULL
+       AND (a.user_id = $1 OR a.role = $2 OR gm.user_id IS NOT NULL)
+     ORDER BY a.due_at, a.id`,
+    [user.id, normalizeRole(user.role)]
+  );
+
+  const progressResult = await db.query(
+    `SELECT ucp.course_id, ucp.progress, ucp.status, ucp.completed_at,
+            COALESCE(c.lineage_id, c.id) as lineage_id
+     FROM user_course_progress ucp
+     JOIN courses c ON ucp.course_id = c.id
+     WHERE ucp.user_id = $1`,
+    [user.id]
+  );
+
+  // Progress on any version of a course counts towards its assignment
+  const progressByLineage = new Map();
+  for (const row of progressResult.rows) {
+    const best = progressByLineage.get(row.lineage_id);
+    if (!best || STATUS_ORDER.indexOf(row.status) > STATUS_ORDER.indexOf(best.status)) {
+      progressByLineage.set(row.lineage_id, row);
+    }
+  }
+
+  const assignments = [];
+  const seen = new Set();
+
+  for (const row of assignmentsResult.rows) {
+    if (seen.has(row.lineage_id)) continue;
+    seen.add(row.lineage_id);
+
+    const progress = progressByLineage.get(row.lineage_id);
+    const status = progress ? progress.status : 'not_started';
+    const overdue = status !== 'completed' && new Date(row.due_at) < now;
+
+    assignments.push({
+      ...row,
+      // Learners keep working on the version they started
+      course_id: progress ? progress.course_id : row.course_id,
+      status,
+      progress: progress ? progress.progress : 0,
+      completed_at: progress ? progress.completed_at : null,
+      overdue,
+      days_overdue: overdue ? Math.floor((now - new Date(row.due_at)) / DAY_MS) : 0
+    });
+  }
+
+  return assignments;
+};
+
+/**
+ * Check whether a course, in any version, is assigned to a user
+ * @param {Object} db - pg Pool or client
+ * @param {Object} user - User row with id and role
+ * @param {number} courseId - The course's ID
+ * @returns {Promise<boolean>}
+ */
+const isCourseAssigned = async (db, user, courseId) => {
+  const courseResult = await db.query(
+    'SELECT COALESCE(lineage_id, id) as lineage_id FROM courses WHERE id = $1',
+    [courseId]
+  );
+
+  if (courseResult.rows.length === 0) return false;
+
+  const assignments = await getUserAssignments(db, user);
+  return assignments.some(assignment => assignment.lineage_id === courseResult.rows[0].lineage_id);
+};
+
+module.exports = {
+  validateAssignment,
+  createAssignment,
+  getUserAssignments,
+  isCourseAssigned
+};
@@ -0,0 +1,250 @@
+// Course catalog search
+//
+// Full-text search, filters and cursor pagination over the active catalog
+// (the current version of every course that is not archived) for
+// GET /api/courses. Results are ordered by title, by rating, or by relevance
+// (the default when searching), with the course ID breaking ties so every
+// page has a stable position to continue from.
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// Courses recommended for everyone match any role filter
+const ALL_ROLES = 'All Roles';
+
+// Orderings, each with the field of the cursor position it continues from
+const SORT_FIELDS = {
+  title: 'title',
+  rating: 'rating',
+  relevance: 'rank'
+};
+
+// Searchable text of a course; idx_courses_search indexes the same expression
+const SEARCH_DOCUMENT = `to_tsvector('english', c.title || ' ' || c.description || ' ' || c.instructor || ' ' || c.learning_outcomes::text)`;
+
+/**
+ * Encode the sort position of the last course on a page
+ * @param {Object} position - { title, id }, { rating, id } or { rank, id }
+ * @returns {string} Opaque cursor for the next page
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} The sort position, or null when malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!position || !Number.isInteger(position.id)) return null;
+    return position;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate the query string of GET /api/courses
+ * @param {Object} query - q, category, role, skill, min_duration,
+ *   max_duration, sort, limit and cursor, all optional
+ * @returns {{filters: Object|null, errors: Object}} Filters ready for
+ *   searchCourses, or errors keyed by parameter
+ */
+const parseCatalogQuery = (query) => {
+  const errors = {};
+  const filters = { limit: DEFAULT_PAGE_SIZE, cursor: null };
+
+  for (const field of ['q', 'category', 'role', 'skill']) {
+    const value = query[field];
+    filters[field] = typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
+  for (const field of ['min_duration', 'max_duration']) {
+    filters[field] = null;
+    if (query[field] === undefined || query[field] === '') continue;
+
+    const minutes = Number(query[field]);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+      errors[field] = `${field} must be a whole number of minutes`;
+    } else {
+      filters[field] = minutes;
+    }
+  }
+
+  if (filters.min_duration !== null && filters.max_duration !== null && filters.min_duration > filters.max_duration) {
+    errors.max_duration = 'max_duration must not be less than min_duration';
+  }
+
+  filters.sort = filters.q ? 'relevance' : 'title';
+  if (query.sort !== undefined && query.sort !== '') {
+    if (!Object.keys(SORT_FIELDS).includes(query.sort)) {
+      errors.sort = `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}`;
+    } else if (query.sort === 'relevance' && !filters.q) {
+      errors.sort = 'sort by relevance needs a search query';
+    } else {
+      filters.sort = query.sort;
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.limit = `limit must be between 1 and ${MAX_PAGE_SIZE}`;
+    } else {
+      filters.limit = limit;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    const position = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+    // A cursor only continues the ordering it was issued for
+    const field = SORT_FIELDS[filters.sort];
+    const matchesOrder = position && (field === 'title' ? typeof position.title === 'string' : typeof position[field] === 'number');
+    if (!matchesOrder) {
+      errors.cursor = 'cursor is not valid for this search';
+    } else {
+      filters.cursor = position;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { filters: null, errors };
+  }
+
+  return { filters, errors };
+};
+
+/**
+ * Search the active catalog
+ * @param {Object} db - pg Pool or client
+ * @param {Object} filters - Filters from parseCatalogQuery
+ * @returns {Promise<Object>} { courses, total, next_cursor } where total
+ *   counts every matching course and next_cursor is null on the last page
+ */
+const searchCourses = async (db, filters) => {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const conditions = ['c.archived_at IS NULL', 'c.superseded_by IS NULL'];
+  let rank = null;
+
+  if (filters.q) {
+    const searchQuery = `plainto_tsquery('english', ${param(filters.q)})`;
+    conditions.push(`${SEARCH_DOCUMENT} @@ ${searchQuery}`);
+    rank = `ts_rank(${SEARCH_DOCUMENT}, ${searchQuery})`;
+  }
+  if (filters.category) {
+    conditions.push(`c.category = ${param(filters.category)}`);
+  }
+  if (filters.min_duration !== null) {
+    conditions.push(`c.duration >= ${param(filters.min_duration)}`);
+  }
+  if (filters.max_duration !== null) {
+    conditions.push(`c.duration <= ${param(filters.max_duration)}`);
+  }
+  if (filters.role) {
+    conditions.push(`(c.recommended_roles @> ${param(JSON.stringify([filters.role]))}::jsonb
+       OR c.recommended_roles @> ${param(JSON.stringify([ALL_ROLES]))}::jsonb)`);
+  }
+  if (filters.skill) {
+    conditions.push(`c.recommended_skills @> ${param(JSON.stringify([filters.skill]))}::jsonb`);
+  }
+
+  const countResult = await db.query(
+    `SELECT COUNT(*)::int as total FROM courses c WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+
+  const { cursor, sort } = filters;
+  if (cursor && sort === 'relevance') {
+    const cursorRank = param(cursor.rank);
+    const cursorId = param(cursor.id);
+    conditions.push(`(${rank} < ${cursorRank}::real OR (${rank} = ${cursorRank}::real AND c.id > ${cursorId}))`);
+  } else if (cursor && sort === 'rating') {
+    const cursorRating = param(cursor.rating);
+    const cursorId = param(cursor.id);
+    conditions.push(`(c.rating < ${cursorRating}::real OR (c.rating = ${cursorRating}::real AND c.id > ${cursorId}))`);
+  } else if (cursor) {
+    const cursorTitle = param(cursor.title);
+    const cursorId = param(cursor.id);
+    conditions.push(`(c.title > ${cursorTitle} OR (c.title = ${cursorTitle} AND c.id > ${cursorId}))`);
+  }
+
+  const orderBy = {
+    title: 'c.title, c.id',
+    rating: 'c.rating DESC, c.id',
+    relevance: 'search_rank DESC, c.id'
+  }[sort];
+
+  // One extra row tells whether another page follows
+  const result = await db.query(
+    `SELECT c.*${rank ? `, ${rank} as search_rank` : ''}
+     FROM courses c
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY ${orderBy}
+     LIMIT ${param(filters.limit + 1)}`,
+    params
+  );
+
+  const courses = result.rows.slice(0, filters.limit);
+  const last = courses[courses.length - 1];
+  const hasMore = result.rows.length > filters.limit;
+
+  const position = (course) => {
+    if (sort === 'relevance') return { rank: Number(course.search_rank), id: course.id };
+    if (sort === 'rating') return { rating: Number(course.rating), id: course.id };
+    return { title: course.title, id: course.id };
+  };
+
+  return {
+    courses: courses.map(({ search_rank, ...course }) => course),
+    total: countResult.rows[0].total,
+    next_cursor: hasMore ? encodeCursor(position(last)) : null
+  };
+};
+
+/**
+ * Count the active catalog by category, recommended role and recommended
+ * skill, for the options of the catalog filters
+ * @param {Object} db - pg Pool or client
+ * @returns {Promise<Object>} { categories, roles, skills }, each a list of
+ *   { value, count } ordered by value
+ */
+const getCatalogFacets = async (db) => {
+  const result = await db.query(
+    `SELECT category, recommended_roles, recommended_skills
+     FROM courses
+     WHERE archived_at IS NULL AND superseded_by IS NULL`
+  );
+
+  const tally = (values) => {
+    const counts = new Map();
+    for (const value of values) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([value, count]) => ({ value, count }));
+  };
+
+  // Courses for all roles are counted under every role, as the role filter matches them
+  const forAllRoles = result.rows.filter(course => course.recommended_roles.includes(ALL_ROLES)).length;
+  const roles = tally(result.rows.flatMap(course => course.recommended_roles).filter(role => role !== ALL_ROLES))
+    .map(role => ({ ...role, count: role.count + forAllRoles }));
+
+  return {
+    categories: tally(result.rows.map(course => course.category)),
+    roles,
+    skills: tally(result.rows.flatMap(course => course.recommended_skills))
+  };
+};
+
+module.exports = {
+  parseCatalogQuery,
+  searchCourses,
+  getCatalogFacets
+};
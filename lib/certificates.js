@@ -0,0 +1,215 @@
+// Completion certificates
+//
+// Every completed course issues a certificate with a unique number such as
+// LEAD-2024-007-1A2B3C4D: a category prefix, the year of issue, the
+// certificate's serial ID and the start of an HMAC signature over the
+// certificate's details. Anyone holding the number can check it against
+// the database and the signing secret through the public verify endpoint.
+
+const crypto = require('crypto');
+const { withTransaction } = require('./db');
+const { getJwtSecret } = require('./sessions');
+
+// Number of signature hex digits included in the certificate number
+const CODE_SIGNATURE_LENGTH = 8;
+
+/**
+ * Get the secret certificates are signed with
+ * Kept apart from the access token secret in production, so rotating one
+ * doesn't invalidate the other or let it be forged.
+ * @returns {string} CERTIFICATE_SECRET, or the access token secret outside
+ *   production
+ * @throws {Error} When NODE_ENV is production and CERTIFICATE_SECRET is not set
+ */
+const getCertificateSecret = () => {
+  if (process.env.CERTIFICATE_SECRET) return process.env.CERTIFICATE_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('CERTIFICATE_SECRET must be set when NODE_ENV is production');
+  }
+
+  return getJwtSecret();
+};
+
+/**
+ * Sign the details a certificate vouches for
+ * @param {Object} certificate - id, user_id, course_id and issued_at
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+const signCertificate = (certificate) =>
+  crypto
+    .createHmac('sha256', getCertificateSecret())
+    .update([
+      certificate.id,
+      certificate.user_id,
+      certificate.course_id,
+      new Date(certificate.issued_at).toISOString()
+    ].join('|'))
+    .digest('hex');
+
+/**
+ * Build the human-readable certificate number
+ * @param {Object} certificate - Certificate row with id and issued_at
+ * @param {string} category - Course category
+ * @param {string} signature - Signature from signCertificate
+ * @returns {string} e.g. DATA-2024-012-9F8E7D6C
+ */
+const formatCertificateCode = (certificate, category, signature) => {
+  const prefix = (category.replace(/[^a-z]/gi, '').slice(0, 4) || 'CERT').toUpperCase();
+  const year = new Date(certificate.issued_at).getUTCFullYear();
+  const serial = String(certificate.id).padStart(3, '0');
+
+  return `${prefix}-${year}-${serial}-${signature.slice(0, CODE_SIGNATURE_LENGTH).toUpperCase()}`;
+};
+
+/**
+ * Issue a certificate for a completed course
+ * @param {Object} db - pg Pool or client
+ * @param {Object} historyEntry - The training_history row for the completion
+ * @param {Object} course - The completed course row
+ * @returns {Promise<Object>} The certificate row
+ */
+const issueCertificate = (db, historyEntry, course) => withTransaction(db, async (client) => {
+  const issuedAt = new Date(historyEntry.completed_at);
+
+  // The serial ID is part of the signed details, so the number is filled in
+  // once the row exists
+  const inserted = await client.query(
+    `INSERT INTO certificates (user_id, course_id, training_history_id, issued_at)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [historyEntry.user_id, course.id, historyEntry.id, issuedAt]
+  );
+
+  const certificate = inserted.rows[0];
+  const signature = signCertificate({ ...certificate, issued_at: issuedAt });
+  const code = formatCertificateCode(certificate, course.category, signature);
+
+  const result = await client.query(
+    `UPDATE certificates SET code = $1, signature = $2
+     WHERE id = $3
+     RETURNING *`,
+    [code, signature, certificate.id]
+  );
+
+  return result.rows[0];
+});
+
+/**
+ * Look up a certificate by number and check its signature
+ * @param {Object} db - pg Pool or client
+ * @param {string} code - Certificate number
+ * @returns {Promise<Object|null>} The certificate with recipient and course
+ *   details, or null when no authentic certificate has that number
+ */
+const verifyCertificate = async (db, code) => {
+  const result = await db.query(
+    `SELECT cert.*, u.name as recipient_name, c.title as course_title,
+            c.category as course_category, th.score
+     FROM certificates cert
+     JOIN users u ON cert.user_id = u.id
+     JOIN courses c ON cert.course_id = c.id
+     LEFT JOIN training_history th ON cert.training_history_id = th.id
+     WHERE cert.code = $1`,
+    [String(code).trim().toUpperCase()]
+  );
+
+  const certificate = result.rows[0];
+  if (!certificate || !certificate.signature) return null;
+
+  const expected = Buffer.from(signCertificate(certificate));
+  const actual = Buffer.from(certificate.signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  if (certificate.code !== formatCertificateCode(certificate, certificate.course_category, certificate.signature)) {
+    return null;
+  }
+
+  return certificate;
+};
+
+/**
+ * Escape text for a PDF string literal, replacing characters outside the
+ * standard fonts' WinAnsi range
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapePdfText = (text) =>
+  String(text)
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+
+/**
+ * Render a certificate as a single-page landscape PDF using the standard
+ * Helvetica fonts, so no font files or PDF library are needed
+ * @param {Object} certificate - Certificate with recipient_name, course_title,
+ *   issued_at, code and optional score
+ * @returns {Buffer} PDF document
+ */
+const renderCertificatePdf = (certificate) => {
+  const width = 792;
+  const height = 612;
+
+  // Helvetica glyphs average roughly half the font size in width
+  const centered = (text, size, y, font = 'F1') => {
+    const x = Math.max(36, (width - String(text).length * size * 0.5) / 2);
+    return `BT /${font} ${size} Tf ${x.toFixed(1)} ${y} Td (${escapePdfText(text)}) Tj ET`;
+  };
+
+  const issued = new Date(certificate.issued_at).toLocaleDateString('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+  });
+
+  const content = [
+    '0.84 0.74 0.98 RG 6 w 30 30 732 552 re S',
+    '0.97 0.71 0.85 RG 2 w 42 42 708 528 re S',
+    '0 0 0 rg',
+    centered('Certificate of Completion', 36, 470, 'F2'),
+    centered('This certifies that', 16, 410),
+    centered(certificate.recipient_name, 28, 365, 'F2'),
+    centered('has successfully completed', 16, 320),
+    centered(certificate.course_title, 24, 278, 'F2'),
+    certificate.score !== null && certificate.score !== undefined
+      ? centered(`with a score of ${certificate.score}%`, 14, 245)
+      : '',
+    centered(`Issued ${issued}`, 14, 190),
+    centered(`Certificate No. ${certificate.code}`, 12, 110, 'F2'),
+    centered(`Verify at /api/certificates/verify/${certificate.code}`, 10, 90)
+  ].filter(Boolean).join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+  getCertificateSecret,
+  signCertificate,
+  formatCertificateCode,
+  issueCertificate,
+  verifyCertificate,
+  renderCertificatePdf
+};
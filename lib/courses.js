@@ -0,0 +1,250 @@
+// Course authoring
+//
+// Admins create and edit courses through the API. Editing never rewrites a
+// course that learners may already be working through: it inserts a new
+// version and marks the old row as superseded, so module indexes, progress
+// and training history keep pointing at the content they were recorded
+// against. Archiving hides a course from the catalog and recommendations
+// but keeps the row for history.
+
+const { withTransaction } = require('./db');
+const { totalModuleMinutes } = require('./progress');
+
+const DEFAULT_IMAGE_PATH = '/images/courses/default.jpg';
+
+// Increments applied to a skill by skill_gains must fit the 0-100 skill scale
+const MAX_SKILL_GAIN = 100;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Check a JSONB list field holds only non-empty strings
+ * @param {*} value - Value from the request body
+ * @param {string} field - Field name for the error message
+ * @param {Object} [options]
+ * @param {boolean} [options.required=true] - The list must have at least one entry
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateStringList = (value, field, { required = true } = {}) => {
+  if (!Array.isArray(value)) return `${field} must be an array of strings`;
+  if (required && value.length === 0) return `${field} needs at least one entry`;
+  if (!value.every(isNonEmptyString)) return `${field} must only contain non-empty strings`;
+  return null;
+};
+
+/**
+ * Check a course's modules are a non-empty list of titled, timed modules
+ * @param {*} modules - Value from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateModules = (modules) => {
+  if (!Array.isArray(modules) || modules.length === 0) {
+    return 'modules needs at least one module';
+  }
+
+  for (const [index, module] of modules.entries()) {
+    if (!module || typeof module !== 'object' || !isNonEmptyString(module.title)) {
+      return `Module ${index + 1} needs a title`;
+    }
+    if (!Number.isInteger(module.duration) || module.duration <= 0) {
+      return `Module ${index + 1} needs a duration in whole minutes`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check an optional skill mapping of skill key to points gained
+ * @param {*} skillGains - Value from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateSkillGains = (skillGains) => {
+  if (skillGains === undefined || skillGains === null) return null;
+
+  if (typeof skillGains !== 'object' || Array.isArray(skillGains)) {
+    return 'skill_gains must map skill keys to points';
+  }
+
+  for (const [skill, points] of Object.entries(skillGains)) {
+    if (!/^[a-z][a-z_]*$/.test(skill)) {
+      return `skill_gains key "${skill}" must be a skill key such as data_analysis`;
+    }
+    if (!Number.isInteger(points) || points < 1 || points > MAX_SKILL_GAIN) {
+      return `skill_gains for ${skill} must be a whole number from 1 to ${MAX_SKILL_GAIN}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate and normalize a course definition from the authoring API
+ * @param {Object} input - title, description, instructor, category, modules,
+ *   learning_outcomes, recommended_roles, recommended_skills and optional
+ *   image_path and skill_gains
+ * @returns {{course: Object|null, errors: Object}} The course ready to store,
+ *   with its duration derived from the modules, or errors keyed by field
+ */
+const validateCourse = (input) => {
+  const errors = {};
+
+  for (const field of ['title', 'description', 'instructor', 'category']) {
+    if (!isNonEmptyString(input[field])) {
+      errors[field] = `${field} is required`;
+    }
+  }
+
+  if (input.image_path !== undefined && input.image_path !== null && !isNonEmptyString(input.image_path)) {
+    errors.image_path = 'image_path must be a non-empty string';
+  }
+
+  const checks = {
+    modules: validateModules(input.modules),
+    learning_outcomes: validateStringList(input.learning_outcomes, 'learning_outcomes'),
+    recommended_roles: validateStringList(input.recommended_roles, 'recommended_roles'),
+    recommended_skills: validateStringList(input.recommended_skills, 'recommended_skills', { required: false }),
+    skill_gains: validateSkillGains(input.skill_gains)
+  };
+
+  for (const [field, error] of Object.entries(checks)) {
+    if (error) errors[field] = error;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { course: null, errors };
+  }
+
+  const modules = input.modules.map(module => ({ title: module.title.trim(), duration: module.duration }));
+  const trimAll = (list) => list.map(item => item.trim());
+
+  return {
+    course: {
+      title: input.title.trim(),
+      description: input.description.trim(),
+      instructor: input.instructor.trim(),
+      category: input.category.trim(),
+      duration: totalModuleMinutes(modules),
+      image_path: isNonEmptyString(input.image_path) ? input.image_path.trim() : DEFAULT_IMAGE_PATH,
+      modules,
+      learning_outcomes: trimAll(input.learning_outcomes),
+      recommended_roles: trimAll(input.recommended_roles),
+      recommended_skills: trimAll(input.recommended_skills),
+      skill_gains: input.skill_gains || null
+    },
+    errors
+  };
+};
+
+/**
+ * Insert a course row
+ * @param {Object} db - pg Pool or client
+ * @param {Object} course - Course from validateCourse
+ * @param {Object} [options]
+ * @param {number} [options.version=1] - Version number
+ * @param {number|null} [options.lineageId=null] - ID of the first version
+ * @returns {Promise<Object>} The inserted course row
+ */
+const insertCourse = async (db, course, { version = 1, lineageId = null } = {}) => {
+  const result = await db.query(
+    `INSERT INTO courses (
+      title, description, instructor, category, duration, image_path,
+      modules, learning_outcomes, recommended_roles, recommended_skills,
+      skill_gains, version, lineage_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING *`,
+    [
+      course.title, course.description, course.instructor, course.category,
+      course.duration, course.image_path, JSON.stringify(course.modules),
+      JSON.stringify(course.learning_outcomes), JSON.stringify(course.recommended_roles),
+      JSON.stringify(course.recommended_skills),
+      course.skill_gains ? JSON.stringify(course.skill_gains) : null,
+      version, lineageId
+    ]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Create a new course
+ * @param {Object} db - pg Pool or client
+ * @param {Object} course - Course from validateCourse
+ * @returns {Promise<Object>} The created course row
+ */
+const createCourse = (db, course) => insertCourse(db, course);
+
+/**
+ * Save an edited course as a new version. The previous version is marked as
+ * superseded and its assessments are carried over for the modules that
+ * still exist, while learners already on it keep working against it.
+ * Reviews belong to the course rather than a version, so the rating and
+ * review count are carried over too.
+ * @param {Object} db - pg Pool or client
+ * @param {number} courseId - ID of the version being edited
+ * @param {Object} course - Course from validateCourse
+ * @returns {Promise<Object|null>} The new version, or null when the course
+ *   is archived or has already been superseded
+ */
+const updateCourse = (db, courseId, course) => withTransaction(db, async (client) => {
+  const currentResult = await client.query(
+    'SELECT * FROM courses WHERE id = $1 FOR UPDATE',
+    [courseId]
+  );
+
+  const current = currentResult.rows[0];
+  if (!current || current.archived_at || current.superseded_by) return null;
+
+  const next = await insertCourse(client, course, {
+    version: current.version + 1,
+    lineageId: current.lineage_id || current.id
+  });
+
+  await client.query(
+    'UPDATE courses SET superseded_by = $1 WHERE id = $2',
+    [next.id, current.id]
+  );
+
+  const rated = await client.query(
+    'UPDATE courses SET rating = $1, review_count = $2 WHERE id = $3 RETURNING *',
+    [current.rating, current.review_count, next.id]
+  );
+
+  await client.query(
+    `INSERT INTO assessments (course_id, module_index, title, questions, pass_threshold, max_attempts)
+     SELECT $1::integer, module_index, title, questions, pass_threshold, max_attempts
+     FROM assessments
+     WHERE course_id = $2 AND (module_index IS NULL OR module_index < $3)`,
+    [next.id, current.id, course.modules.length]
+  );
+
+  return rated.rows[0];
+});
+
+/**
+ * Archive a course so it no longer appears in the catalog or
+ * recommendations; progress, history and certificates are kept
+ * Every version is archived, so learners still on an older one stop
+ * seeing it too.
+ * @param {Object} db - pg Pool or client
+ * @param {number} courseId - The ID of any version of the course
+ * @returns {Promise<Object|null>} The archived version, or null if not found
+ */
+const archiveCourse = async (db, courseId) => {
+  const result = await db.query(
+    `UPDATE courses SET archived_at = COALESCE(archived_at, $1)
+     WHERE COALESCE(lineage_id, id) = (SELECT COALESCE(lineage_id, id) FROM courses WHERE id = $2)
+     RETURNING *`,
+    [new Date(), courseId]
+  );
+
+  return result.rows.find(course => course.id === courseId) || null;
+};
+
+module.exports = {
+  DEFAULT_IMAGE_PATH,
+  validateCourse,
+  createCourse,
+  updateCourse,
+  archiveCourse
+};
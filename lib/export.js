@@ -0,0 +1,276 @@
+// Training record exports
+//
+// Learners can export their own training history, and admins the whole
+// organization's training history, course progress or skill levels, as CSV,
+// JSON or xAPI statements (training history only) for an LMS or learning
+// record store. Rows are read in batches by ID and written to the response
+// as they arrive, so an export never holds more than one batch in memory.
+
+const crypto = require('crypto');
+
+const EXPORT_BATCH_SIZE = 500;
+
+const XAPI_COMPLETED_VERB = {
+  id: 'http://adlnet.gov/expapi/verbs/completed',
+  display: { 'en-US': 'completed' }
+};
+
+const XAPI_COURSE_ACTIVITY_TYPE = 'http://adlnet.gov/expapi/activities/course';
+
+// What can be exported. Each query returns the rows after the cursor (the
+// last row's cursor value, 0 to start) in cursor order, at most limit of
+// them, optionally for one user only; columns are the fields exported.
+const EXPORT_DATASETS = {
+  history: {
+    formats: ['csv', 'json', 'xapi'],
+    columns: [
+      'id', 'user_id', 'username', 'user_name', 'email', 'course_id', 'course_title',
+      'course_category', 'course_version', 'completed_at', 'duration', 'score', 'certificate_code'
+    ],
+    query: `SELECT th.id as cursor, th.id, th.user_id, u.username, u.name as user_name, u.email,
+                   th.course_id, COALESCE(c.lineage_id, c.id) as course_lineage_id,
+                   c.title as course_title, c.category as course_category, c.version as course_version,
+                   th.completed_at, th.duration, th.score, cert.code as certificate_code
+            FROM training_history th
+            JOIN users u ON th.user_id = u.id
+            JOIN courses c ON th.course_id = c.id
+            LEFT JOIN certificates cert ON cert.training_history_id = th.id
+            WHERE th.id > $1 AND ($3::int IS NULL OR th.user_id = $3)
+            ORDER BY th.id
+            LIMIT $2`
+  },
+  progress: {
+    formats: ['csv', 'json'],
+    columns: [
+      'id', 'user_id', 'username', 'user_name', 'email', 'course_id', 'course_title',
+      'course_category', 'status', 'progress', 'score', 'last_accessed_at', 'completed_at', 'dismissed'
+    ],
+    query: `SELECT ucp.id as cursor, ucp.id, ucp.user_id, u.username, u.name as user_name, u.email,
+                   ucp.course_id, c.title as course_title, c.category as course_category,
+                   ucp.status, ucp.progress, ucp.score, ucp.last_accessed_at, ucp.completed_at, ucp.dismissed
+            FROM user_course_progress ucp
+            JOIN users u ON ucp.user_id = u.id
+            JOIN courses c ON ucp.course_id = c.id
+            WHERE ucp.id > $1 AND ($3::int IS NULL OR ucp.user_id = $3)
+            ORDER BY ucp.id
+            LIMIT $2`
+  },
+  skills: {
+    formats: ['csv', 'json'],
+    columns: ['user_id', 'username', 'user_name', 'email', 'skill', 'level'],
+    // One row per skill, batched by user so a user's skills stay together
+    query: `SELECT u.id as cursor, u.id as user_id, u.username, u.name as user_name, u.email,
+                   skill.key as skill, skill.value as level
+            FROM users u
+            CROSS JOIN LATERAL jsonb_each(u.skills) skill
+            WHERE u.id IN (
+              SELECT id FROM users
+              WHERE id > $1 AND ($3::int IS NULL OR id = $3) AND skills <> '{}'::jsonb
+              ORDER BY id
+              LIMIT $2
+            )
+            ORDER BY u.id, skill.key`
+  }
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xapi: 'application/json; charset=utf-8'
+};
+
+/**
+ * Validate export query parameters from the API
+ * @param {Object} query - dataset and format
+ * @param {Array<string>} [datasets] - Datasets the caller may export,
+ *   all of them by default
+ * @returns {{options: Object|null, errors: Object}} { dataset, format } with
+ *   defaults applied, or errors keyed by field
+ */
+const validateExportQuery = (query, datasets = Object.keys(EXPORT_DATASETS)) => {
+  const errors = {};
+  const options = {
+    dataset: query.dataset || 'history',
+    format: query.format || 'csv'
+  };
+
+  if (!datasets.includes(options.dataset)) {
+    errors.dataset = `dataset must be one of: ${datasets.join(', ')}`;
+  } else if (!EXPORT_DATASETS[options.dataset].formats.includes(options.format)) {
+    errors.format = `format must be one of: ${EXPORT_DATASETS[options.dataset].formats.join(', ')}`;
+  }
+
+  return { options: Object.keys(errors).length === 0 ? options : null, errors };
+};
+
+/**
+ * Build the response headers for an export
+ * @param {Object} options - { dataset, format } from validateExportQuery
+ * @param {Date} [now=new Date()] - Date to name the file after
+ * @returns {Object} Content-Type and Content-Disposition headers
+ */
+const getExportHeaders = ({ dataset, format }, now = new Date()) => {
+  const name = dataset === 'history' ? 'training-history' : dataset;
+  const extension = format === 'csv' ? 'csv' : 'json';
+  const suffix = format === 'xapi' ? '-xapi' : '';
+
+  return {
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${name}-${now.toISOString().slice(0, 10)}${suffix}.${extension}"`
+  };
+};
+
+/**
+ * Format a value as a CSV field (RFC 4180). Text starting with a formula
+ * character is prefixed with an apostrophe so spreadsheets show it rather
+ * than evaluate it.
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row as a CSV line
+ * @param {Array} values - Field values in column order
+ * @returns {string} The line, ending in CRLF
+ */
+const toCsvLine = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+/**
+ * Derive a stable statement ID from a training history row, so exporting
+ * the same record again updates it in a learning record store rather than
+ * duplicating it
+ * @param {number} historyId - training_history.id
+ * @param {string} appUrl - Base URL of the app
+ * @returns {string} Name-based (version 5 style) UUID
+ */
+const statementId = (historyId, appUrl) => {
+  const hash = crypto.createHash('sha1').update(`${appUrl}/training-history/${historyId}`).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Build the xAPI "completed" statement for a training history row
+ * @param {Object} row - Row of the history dataset
+ * @param {string} appUrl - Base URL of the app, for activity IRIs
+ * @returns {Object} xAPI 1.0.3 statement
+ */
+const toXapiStatement = (row, appUrl) => {
+  const result = {
+    completion: true,
+    duration: `PT${row.duration}M`
+  };
+
+  if (row.score !== null) {
+    result.score = { scaled: row.score / 100, raw: row.score, min: 0, max: 100 };
+  }
+
+  return {
+    id: statementId(row.id, appUrl),
+    actor: {
+      objectType: 'Agent',
+      name: row.user_name,
+      mbox: `mailto:${row.email}`
+    },
+    verb: XAPI_COMPLETED_VERB,
+    object: {
+      objectType: 'Activity',
+      // Every version of a course is the same activity
+      id: `${appUrl}/courses/${row.course_lineage_id}`,
+      definition: {
+        type: XAPI_COURSE_ACTIVITY_TYPE,
+        name: { 'en-US': row.course_title }
+      }
+    },
+    result,
+    context: {
+      extensions: {
+        [`${appUrl}/xapi/extensions/course-version`]: row.course_version
+      }
+    },
+    timestamp: new Date(row.completed_at).toISOString()
+  };
+};
+
+/**
+ * Wait until a stream wants more data or has closed
+ * @param {Object} out - Writable stream
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (out) => new Promise((resolve) => {
+  if (out.destroyed) {
+    resolve();
+    return;
+  }
+
+  const done = () => {
+    out.off('drain', done);
+    out.off('close', done);
+    resolve();
+  };
+  out.on('drain', done);
+  out.on('close', done);
+});
+
+/**
+ * Write an export to a stream, one batch of rows at a time
+ * Stops early when the stream is destroyed (e.g. the client went away).
+ * The stream is not ended.
+ * @param {Object} db - pg Pool or client
+ * @param {Object} out - Writable stream, such as an Express response
+ * @param {Object} options - { dataset, format } from validateExportQuery
+ * @param {number} [options.userId] - Only export this user's rows
+ * @param {string} options.appUrl - Base URL of the app, for xAPI IRIs
+ * @param {number} [options.batchSize] - Rows read per query
+ * @returns {Promise<number>} Number of rows written
+ */
+const writeExport = async (db, out, { dataset, format, userId = null, appUrl, batchSize = EXPORT_BATCH_SIZE }) => {
+  const { columns, query } = EXPORT_DATASETS[dataset];
+
+  const write = async (chunk) => {
+    if (!out.destroyed && !out.write(chunk)) await waitForDrain(out);
+  };
+
+  const formatRow = (row, index) => {
+    if (format === 'csv') return toCsvLine(columns.map(column => row[column]));
+
+    const value = format === 'xapi'
+      ? toXapiStatement(row, appUrl)
+      : Object.fromEntries(columns.map(column => [column, row[column]]));
+    return `${index === 0 ? '' : ',\n'}${JSON.stringify(value)}`;
+  };
+
+  await write(format === 'csv' ? toCsvLine(columns) : '[\n');
+
+  let count = 0;
+  let cursor = 0;
+  while (!out.destroyed) {
+    const result = await db.query(query, [cursor, batchSize, userId]);
+    if (result.rows.length === 0) break;
+
+    await write(result.rows.map((row, index) => formatRow(row, count + index)).join(''));
+    count += result.rows.length;
+    cursor = result.rows[result.rows.length - 1].cursor;
+  }
+
+  if (format !== 'csv') await write(count === 0 ? ']\n' : '\n]\n');
+  return count;
+};
+
+module.exports = {
+  EXPORT_DATASETS,
+  validateExportQuery,
+  getExportHeaders,
+  writeExport
+};
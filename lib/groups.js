@@ -0,0 +1,103 @@
+// User groups
+//
+// Named sets of users, such as a cohort or a project team, that courses can
+// be assigned to alongside individual users and roles.
+
+const { withTransaction } = require('./db');
+
+/**
+ * Check a list of member IDs from the API
+ * @param {*} userIds - Value from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateMemberIds = (userIds) => {
+  if (!Array.isArray(userIds) || !userIds.every(Number.isInteger)) {
+    return 'user_ids must be an array of user IDs';
+  }
+  return null;
+};
+
+/**
+ * Check every ID in a list belongs to a user
+ * @param {Object} db - pg Pool or client
+ * @param {Array<number>} userIds - User IDs
+ * @returns {Promise<boolean>}
+ */
+const usersExist = async (db, userIds) => {
+  const uniqueIds = [...new Set(userIds)];
+  if (uniqueIds.length === 0) return true;
+
+  const placeholders = uniqueIds.map((_, index) => `$${index + 1}`).join(', ');
+  const result = await db.query(
+    `SELECT id FROM users WHERE id IN (${placeholders})`,
+    uniqueIds
+  );
+
+  return result.rows.length === uniqueIds.length;
+};
+
+/**
+ * List groups with their member counts
+ * @param {Object} db - pg Pool or client
+ * @returns {Promise<Array<Object>>} Groups ordered by name
+ */
+const listGroups = async (db) => {
+  const result = await db.query(
+    `SELECT g.id, g.name, g.created_at, COUNT(gm.user_id)::int as member_count
+     FROM user_groups g
+     LEFT JOIN user_group_members gm ON gm.group_id = g.id
+     GROUP BY g.id, g.name, g.created_at
+     ORDER BY g.name`
+  );
+
+  return result.rows;
+};
+
+/**
+ * Replace the members of a group
+ * @param {Object} db - pg Pool or client
+ * @param {number} groupId - The group's ID
+ * @param {Array<number>} userIds - IDs of every member, checked with usersExist
+ * @returns {Promise<Array<number>>} The member IDs
+ */
+const setGroupMembers = (db, groupId, userIds) => withTransaction(db, async (client) => {
+  const uniqueIds = [...new Set(userIds)];
+
+  await client.query('DELETE FROM user_group_members WHERE group_id = $1', [groupId]);
+
+  for (const userId of uniqueIds) {
+    await client.query(
+      'INSERT INTO user_group_members (group_id, user_id) VALUES ($1, $2)',
+      [groupId, userId]
+    );
+  }
+
+  return uniqueIds;
+});
+
+/**
+ * Create a group with its initial members
+ * @param {Object} db - pg Pool or client
+ * @param {string} name - Group name
+ * @param {Array<number>} userIds - IDs of the members, checked with usersExist
+ * @returns {Promise<Object>} The group with user_ids
+ */
+const createGroup = (db, name, userIds) => withTransaction(db, async (client) => {
+  const result = await client.query(
+    'INSERT INTO user_groups (name) VALUES ($1) RETURNING *',
+    [name]
+  );
+
+  const group = result.rows[0];
+  const members = await setGroupMembers(client, group.id, userIds);
+
+  return { ...group, user_ids: members };
+});
+
+module.exports = {
+  validateMemberIds,
+  usersExist,
+  listGroups,
+  createGroup,
+  setGroupMembers
+};
@@ -0,0 +1,124 @@
+// Idempotency keys for requests that must not be applied twice
+//
+// A client sends the same Idempotency-Key header with every retry of a
+// request. The key is claimed in the same transaction as the request's
+// work, so a retry that arrives while the first attempt is still running
+// waits for it; once the first attempt commits, retries get its response
+// back instead of running again, and if it fails the key is released with
+// everything else so the retry runs as normal. Keys expire after a day;
+// a user's expired keys are deleted when they next send one, and everyone's
+// by cleanup.js.
+
+const crypto = require('crypto');
+const { withTransaction } = require('./db');
+
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate an Idempotency-Key header
+ * @param {string} [key] - The header, when sent
+ * @returns {string|null} Error message, or null when the key is valid or
+ *   was not sent
+ */
+const validateIdempotencyKey = (key) => {
+  if (key === undefined) return null;
+
+  if (!key.trim() || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    return `Idempotency-Key must be 1 to ${IDEMPOTENCY_KEY_MAX_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Fingerprint a request, so a key reused for a different one can be told apart
+ * @param {Object} request - { method, path, body }
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequest = ({ method, path, body }) => (
+  crypto.createHash('sha256').update(JSON.stringify([method, path, body || null])).digest('hex')
+);
+
+// Keys created before this have expired
+const expiredBefore = (now) => new Date(now.getTime() - IDEMPOTENCY_KEY_TTL_MS);
+
+/**
+ * Run a request's work once per idempotency key
+ * Without a key, fn simply runs.
+ * @param {Object} db - pg Pool
+ * @param {Object} options
+ * @param {number} options.userId - The user sending the request; keys are
+ *   per user
+ * @param {string} [options.key] - The Idempotency-Key header
+ * @param {Object} options.request - { method, path, body } of the request
+ * @param {Function} fn - async (client) => response body, run inside the
+ *   transaction that holds the key
+ * @returns {Promise<Object>} { body, replayed } where replayed is true when
+ *   body is the stored response of an earlier request with the key, or
+ *   { error } when the key was used for a different request
+ */
+const runIdempotent = async (db, { userId, key, request }, fn) => {
+  if (key === undefined) {
+    return { body: await fn(db), replayed: false };
+  }
+
+  return withTransaction(db, async (client) => {
+    const now = new Date();
+    const requestHash = hashRequest(request);
+
+    await client.query(
+      'DELETE FROM idempotency_keys WHERE user_id = $1 AND created_at < $2',
+      [userId, expiredBefore(now)]
+    );
+
+    // Blocks while another transaction holds the same key
+    const claimResult = await client.query(
+      `INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash, created_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, idempotency_key) DO NOTHING
+       RETURNING id`,
+      [userId, key, requestHash, now]
+    );
+
+    if (claimResult.rows.length === 0) {
+      const existing = await client.query(
+        'SELECT request_hash, response FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+        [userId, key]
+      );
+
+      if (existing.rows[0].request_hash !== requestHash) {
+        return { error: 'This Idempotency-Key was already used for a different request' };
+      }
+      return { body: existing.rows[0].response, replayed: true };
+    }
+
+    const body = await fn(client);
+
+    await client.query(
+      'UPDATE idempotency_keys SET response = $1 WHERE id = $2',
+      [JSON.stringify(body), claimResult.rows[0].id]
+    );
+
+    return { body, replayed: false };
+  });
+};
+
+/**
+ * Delete every user's expired keys
+ * @param {Object} db - pg Pool or client
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {Promise<number>} Number of keys deleted
+ */
+const deleteExpiredIdempotencyKeys = async (db, now = new Date()) => {
+  const result = await db.query(
+    'DELETE FROM idempotency_keys WHERE created_at < $1',
+    [expiredBefore(now)]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  validateIdempotencyKey,
+  runIdempotent,
+  deleteExpiredIdempotencyKeys
+};
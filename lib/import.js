@@ -0,0 +1,560 @@
+// Bulk course import
+//
+// Admins can load a catalog from a CSV or JSON file, or a course from a
+// SCORM 1.2 or 2004 package (a zip with an imsmanifest.xml at its root).
+// Every course is checked with validateCourse, as if it were created through
+// the API, and against the titles already in the catalog. The report lists
+// each row's errors; nothing is created unless every row is valid, so a
+// corrected file can simply be imported again, and a dry run only reports.
+//
+// CSV files have a header row naming course fields and one course per row.
+// List fields separate entries with |, modules are written
+// "Title:minutes|Title:minutes" and skill_gains "skill_key:points|...".
+// JSON files hold an array of courses shaped as for POST /api/courses.
+//
+// A SCORM package gives the course title, a module per launchable item of
+// its default organization and whatever LOM metadata it carries (description,
+// author, discipline, keywords and typical learning time); its content files
+// are not imported. Fields a file leaves out can be filled in from defaults
+// sent with the import.
+
+const AdmZip = require('adm-zip');
+const { XMLParser } = require('fast-xml-parser');
+const { withTransaction } = require('./db');
+const { validateCourse, createCourse } = require('./courses');
+
+const IMPORT_FORMATS = ['csv', 'json', 'scorm'];
+
+// Largest upload accepted, and most courses per file
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 1000;
+
+// Largest XML file read out of a SCORM package
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+
+const CONTENT_TYPE_FORMATS = {
+  'text/csv': 'csv',
+  'application/vnd.ms-excel': 'csv',
+  'application/json': 'json',
+  'application/zip': 'scorm',
+  'application/x-zip-compressed': 'scorm'
+};
+
+const LIST_FIELDS = ['learning_outcomes', 'recommended_roles', 'recommended_skills'];
+
+const CSV_FIELDS = [
+  'title', 'description', 'instructor', 'category', 'image_path', 'modules',
+  ...LIST_FIELDS, 'skill_gains'
+];
+
+// Fields that can be given defaults; module_duration is the length in
+// minutes of SCORM modules whose package doesn't say
+const DEFAULT_FIELDS = [
+  'description', 'instructor', 'category', 'image_path', ...LIST_FIELDS, 'module_duration'
+];
+
+// Manifest and LOM elements that can repeat, read as arrays even when there
+// is only one
+const XML_ARRAY_ELEMENTS = [
+  'organization', 'item', 'resource', 'contribute', 'keyword', 'classification',
+  'taxonpath', 'taxon', 'string', 'langstring'
+];
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  // SCORM 1.2 metadata is lower case (typicallearningtime) where 2004's is
+  // camel case (typicalLearningTime)
+  transformTagName: name => name.toLowerCase(),
+  transformAttributeName: name => name.toLowerCase(),
+  isArray: name => XML_ARRAY_ELEMENTS.includes(name)
+});
+
+/**
+ * Split a | separated cell into its entries
+ * @param {string} value - Cell text
+ * @returns {Array<string>}
+ */
+const splitList = (value) => value.split('|').map(entry => entry.trim()).filter(Boolean);
+
+/**
+ * Split "name:number" pairs, such as modules and skill_gains cells
+ * @param {string} value - Cell text
+ * @returns {Array<Array>} [name, number] pairs; the number is NaN when it's
+ *   missing, so validateCourse reports it
+ */
+const splitPairs = (value) => splitList(value).map((entry) => {
+  const separator = entry.lastIndexOf(':');
+  if (separator === -1) return [entry, NaN];
+  return [entry.slice(0, separator).trim(), Number(entry.slice(separator + 1))];
+});
+
+/**
+ * Validate import query parameters from the API
+ * @param {Object} query - format, dry_run and defaults (an object of course
+ *   fields, written as in a CSV file)
+ * @param {string} [contentType] - Content-Type of the upload, which gives
+ *   the format when the query doesn't
+ * @returns {{options: Object|null, errors: Object}} { format, dryRun,
+ *   defaults }, or errors keyed by field
+ */
+const validateImportQuery = (query, contentType = '') => {
+  const errors = {};
+  const options = {
+    format: query.format || CONTENT_TYPE_FORMATS[contentType.split(';')[0].trim().toLowerCase()],
+    dryRun: query.dry_run === 'true' || query.dry_run === '1',
+    defaults: {}
+  };
+
+  if (!IMPORT_FORMATS.includes(options.format)) {
+    errors.format = `format must be one of: ${IMPORT_FORMATS.join(', ')}`;
+  }
+
+  const defaults = query.defaults || {};
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+    errors.defaults = 'defaults must be course fields, e.g. defaults[category]=Compliance';
+  } else {
+    for (const [field, value] of Object.entries(defaults)) {
+      if (!DEFAULT_FIELDS.includes(field)) {
+        errors.defaults = `defaults can only set: ${DEFAULT_FIELDS.join(', ')}`;
+      } else if (typeof value !== 'string') {
+        errors.defaults = `defaults[${field}] must be given once`;
+      } else if (field === 'module_duration') {
+        options.defaults.module_duration = Number(value);
+        if (!Number.isInteger(options.defaults.module_duration) || options.defaults.module_duration <= 0) {
+          errors.defaults = 'defaults[module_duration] must be a whole number of minutes';
+        }
+      } else if (value.trim()) {
+        options.defaults[field] = LIST_FIELDS.includes(field) ? splitList(value) : value;
+      }
+    }
+  }
+
+  return { options: Object.keys(errors).length === 0 ? options : null, errors };
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes written
+ * twice and line breaks)
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>} Records, one per line unless a quoted
+ *   field holds a line break
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  record.push(field);
+  records.push(record);
+  return records;
+};
+
+const isBlankRecord = (values) => values.every(value => !value.trim());
+
+/**
+ * Read the courses in a CSV catalog
+ * @param {string} text - File contents
+ * @returns {Object} { rows } where each row is { row, input } numbered as
+ *   in a spreadsheet (the header is row 1), or { error }
+ */
+const parseCsvCatalog = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (isBlankRecord(header)) return { error: 'The file is empty' };
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const unknown = columns.filter(name => !CSV_FIELDS.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown column(s) ${unknown.join(', ')}; columns can be: ${CSV_FIELDS.join(', ')}` };
+  }
+  if (!columns.includes('title')) return { error: 'The header row needs a title column' };
+
+  const rows = records.map((values, index) => {
+    if (isBlankRecord(values)) return null;
+
+    const input = {};
+
+    columns.forEach((column, position) => {
+      const value = (values[position] || '').trim();
+      if (!value) return;
+
+      if (column === 'modules') {
+        input.modules = splitPairs(value).map(([title, duration]) => ({ title, duration }));
+      } else if (column === 'skill_gains') {
+        input.skill_gains = Object.fromEntries(splitPairs(value));
+      } else {
+        input[column] = LIST_FIELDS.includes(column) ? splitList(value) : value;
+      }
+    });
+
+    return { row: index + 2, input };
+  });
+
+  return { rows: rows.filter(Boolean) };
+};
+
+/**
+ * Read the courses in a JSON catalog
+ * @param {Array|Object} catalog - Array of courses, or { courses: [...] }
+ * @returns {Object} { rows } where each row is { row, input } numbered from
+ *   1, or { error }
+ */
+const parseJsonCatalog = (catalog) => {
+  const courses = Array.isArray(catalog) ? catalog : catalog && catalog.courses;
+  if (!Array.isArray(courses)) return { error: 'The file must hold an array of courses' };
+
+  return { rows: courses.map((input, index) => ({ row: index + 1, input })) };
+};
+
+/**
+ * Read the text of a LOM element, which may be plain text or wrapped in
+ * language strings (<string> in SCORM 2004, <langstring> in 1.2)
+ * @param {*} node - Parsed element
+ * @returns {string|null} The first non-empty text
+ */
+const lomText = (node) => {
+  if (node === undefined || node === null) return null;
+  if (typeof node === 'string') return node.trim() || null;
+  if (Array.isArray(node)) return node.map(lomText).find(Boolean) || null;
+  if (node['#text'] !== undefined) return lomText(String(node['#text']));
+  return lomText(node.string || node.langstring);
+};
+
+/**
+ * Convert a LOM duration to minutes: ISO 8601 (PT1H30M) in SCORM 2004,
+ * HH:MM:SS in 1.2
+ * @param {string|null} text - Duration
+ * @returns {number|null} Whole minutes, at least 1, or null when missing or
+ *   unreadable
+ */
+const parseLomDuration = (text) => {
+  if (!text) return null;
+
+  const iso = text.match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  const clock = text.match(/^(\d+):(\d{1,2})(?::(\d{1,2}(?:\.\d+)?))?$/);
+
+  let minutes = null;
+  if (iso) {
+    const [, days = 0, hours = 0, mins = 0, seconds = 0] = iso;
+    minutes = days * 1440 + hours * 60 + Number(mins) + seconds / 60;
+  } else if (clock) {
+    const [, hours, mins, seconds = 0] = clock;
+    minutes = hours * 60 + Number(mins) + seconds / 60;
+  }
+
+  return minutes > 0 ? Math.max(1, Math.round(minutes)) : null;
+};
+
+/**
+ * Read an XML file out of a package
+ * @param {Object} zip - AdmZip instance
+ * @param {string} name - Path within the package
+ * @returns {Object|null} Parsed document, or null when the file is missing
+ * @throws {Error} When the file is too large or not XML
+ */
+const readPackageXml = (zip, name) => {
+  const entry = zip.getEntry(name.replace(/^\.?\//, ''));
+  if (!entry || entry.isDirectory) return null;
+  if (entry.header.size > MAX_MANIFEST_BYTES) throw new Error(`${name} is too large`);
+
+  return xmlParser.parse(entry.getData().toString('utf8'));
+};
+
+/**
+ * Find the LOM record of a manifest, organization or item: inline, or in
+ * a separate file the metadata element points to
+ * @param {Object} zip - AdmZip instance
+ * @param {Object} [metadata] - Parsed <metadata> element
+ * @returns {Object} Parsed <lom> element, empty when there is none
+ */
+const readLom = (zip, metadata) => {
+  if (!metadata) return {};
+  if (metadata.lom) return metadata.lom;
+
+  const location = lomText(metadata.location);
+  const document = location ? readPackageXml(zip, location) : null;
+  return (document && document.lom) || {};
+};
+
+/**
+ * Find a contributor's name in a LOM record, preferring the author
+ * @param {Object} lom - Parsed <lom> element
+ * @returns {string|null} Formatted name (FN) from the contributor's vCard
+ */
+const lomAuthor = (lom) => {
+  const contributors = (lom.lifecycle && lom.lifecycle.contribute) || [];
+  const author = contributors.find(contributor => /^author$/i.test(lomText(contributor.role && contributor.role.value) || ''));
+
+  for (const contributor of author ? [author] : contributors) {
+    // <entity> in SCORM 2004, <centity><vcard> in 1.2
+    const vcard = lomText(contributor.entity) || lomText(contributor.centity && contributor.centity.vcard);
+    const name = vcard && vcard.match(/(?:^|\s)FN(?:;[^:\s]*)?:(.+?)\s*(?:\r?\n|END:VCARD|$)/i);
+    if (name) return name[1].trim();
+  }
+
+  return null;
+};
+
+/**
+ * Find the classification entries with a purpose in a LOM record
+ * @param {Object} lom - Parsed <lom> element
+ * @param {string} purpose - e.g. discipline or educational objective
+ * @returns {Array<string>} Taxon entries and descriptions
+ */
+const lomClassification = (lom, purpose) => (lom.classification || [])
+  .filter(classification => (lomText(classification.purpose && classification.purpose.value) || '').toLowerCase() === purpose)
+  .flatMap(classification => [
+    ...(classification.taxonpath || []).flatMap(path => (path.taxon || []).map(taxon => lomText(taxon.entry))),
+    lomText(classification.description)
+  ])
+  .filter(Boolean);
+
+/**
+ * Read a LOM record's typical learning time
+ * @param {Object} lom - Parsed <lom> element
+ * @returns {number|null} Minutes
+ */
+const lomLearningTime = (lom) => {
+  const time = lom.educational && lom.educational.typicallearningtime;
+  // <duration> in SCORM 2004, <datetime> in 1.2
+  return parseLomDuration(time && (lomText(time.duration) || lomText(time.datetime) || lomText(time)));
+};
+
+/**
+ * List the launchable items of an organization, in order
+ * @param {Array<Object>} [items] - Parsed <item> elements
+ * @returns {Array<Object>} Visible items that have no child items
+ */
+const leafItems = (items = []) => items
+  .filter(item => item['@_isvisible'] !== 'false')
+  .flatMap(item => (item.item ? leafItems(item.item) : [item]));
+
+/**
+ * Read the course in a SCORM 1.2 or 2004 package
+ * @param {Buffer} file - The zip file
+ * @param {Object} defaults - { module_duration } from validateImportQuery
+ * @returns {Object} { rows } with the course as row 1, or { error }
+ */
+const parseScormPackage = (file, defaults) => {
+  let zip;
+  let manifest;
+  try {
+    zip = new AdmZip(file);
+    manifest = (readPackageXml(zip, 'imsmanifest.xml') || {}).manifest;
+  } catch (error) {
+    return { error: `Not a readable SCORM package: ${error.message}` };
+  }
+  if (!manifest) return { error: 'The package has no imsmanifest.xml at its root' };
+
+  const organizations = (manifest.organizations && manifest.organizations.organization) || [];
+  const defaultId = manifest.organizations && manifest.organizations['@_default'];
+  const organization = organizations.find(candidate => candidate['@_identifier'] === defaultId) || organizations[0];
+  if (!organization) return { error: 'The package has no organization to import' };
+
+  let lom;
+  let items;
+  try {
+    lom = readLom(zip, manifest.metadata);
+    items = leafItems(organization.item).map(item => ({
+      title: lomText(item.title),
+      duration: lomLearningTime(readLom(zip, item.metadata))
+    }));
+  } catch (error) {
+    return { error: `Not a readable SCORM package: ${error.message}` };
+  }
+
+  // Items without a learning time of their own share what is left of the
+  // course's, when the package gives one
+  const courseMinutes = lomLearningTime(lom);
+  const untimed = items.filter(item => item.duration === null);
+  const timedMinutes = items.reduce((total, item) => total + (item.duration || 0), 0);
+  const share = courseMinutes && untimed.length > 0
+    ? Math.max(1, Math.round((courseMinutes - timedMinutes) / untimed.length))
+    : defaults.module_duration;
+  untimed.forEach((item) => { item.duration = share; });
+
+  const general = lom.general || {};
+  const keywords = (general.keyword || []).map(lomText).filter(Boolean);
+  const input = {
+    title: lomText(general.title) || lomText(organization.title),
+    description: lomText(general.description),
+    instructor: lomAuthor(lom),
+    category: lomClassification(lom, 'discipline')[0] || null,
+    modules: items,
+    learning_outcomes: lomClassification(lom, 'educational objective'),
+    recommended_skills: keywords
+  };
+
+  return { rows: [{ row: 1, input }] };
+};
+
+/**
+ * Fill in the fields a course leaves out from the import's defaults
+ * @param {Object} input - Course fields from the file
+ * @param {Object} defaults - From validateImportQuery
+ * @returns {Object} The course fields with defaults applied
+ */
+const applyDefaults = (input, defaults) => {
+  const course = { ...input };
+
+  for (const [field, value] of Object.entries(defaults)) {
+    const current = course[field];
+    const missing = current === undefined || current === null || current === '' ||
+      (Array.isArray(current) && current.length === 0);
+    if (field !== 'module_duration' && missing) course[field] = value;
+  }
+
+  return course;
+};
+
+/**
+ * Read the courses in an uploaded file
+ * @param {Buffer|Object} file - The file, or a JSON catalog already parsed
+ * @param {Object} options - { format, defaults } from validateImportQuery
+ * @returns {Object} { rows } where each row is { row, input } with defaults
+ *   applied, or { error } when the file can't be read at all
+ */
+const parseImportFile = (file, { format, defaults }) => {
+  let parsed;
+
+  if (format !== 'json' && !Buffer.isBuffer(file)) {
+    return { error: 'Send the file as the request body' };
+  }
+
+  if (format === 'scorm') {
+    parsed = parseScormPackage(file, defaults);
+  } else if (format === 'csv') {
+    parsed = parseCsvCatalog(file.toString('utf8'));
+  } else if (Buffer.isBuffer(file)) {
+    try {
+      parsed = parseJsonCatalog(JSON.parse(file.toString('utf8')));
+    } catch (error) {
+      return { error: `Not valid JSON: ${error.message}` };
+    }
+  } else {
+    parsed = parseJsonCatalog(file);
+  }
+
+  if (parsed.error) return parsed;
+  if (parsed.rows.length === 0) return { error: 'The file has no courses' };
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can hold at most ${MAX_IMPORT_ROWS} courses` };
+  }
+
+  return {
+    rows: parsed.rows.map(({ row, input }) => {
+      if (!input || typeof input !== 'object' || Array.isArray(input)) return { row, input };
+
+      // recommended_skills is optional, so a file can leave it out entirely
+      return { row, input: { recommended_skills: [], ...applyDefaults(input, defaults) } };
+    })
+  };
+};
+
+/**
+ * Validate imported courses and, unless this is a dry run and only when
+ * every one is valid, create them
+ * A course is also invalid when its title matches another in the file or
+ * a current course in the catalog.
+ * @param {Object} db - pg Pool or client
+ * @param {Array<Object>} rows - From parseImportFile
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only validate
+ * @returns {Promise<Object>} { valid, dry_run, imported, rows } where each
+ *   row is { row, title, errors, course_id }; errors are keyed by field and
+ *   null for a valid row, and course_id is set once the course is created
+ */
+const importCourses = async (db, rows, { dryRun = false } = {}) => {
+  const checked = rows.map(({ row, input }) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { row, course: null, errors: { course: 'Each course must be an object' } };
+    }
+
+    const { course, errors } = validateCourse(input);
+    return { row, course, errors, title: typeof input.title === 'string' ? input.title.trim() : null };
+  });
+
+  const titles = checked.filter(({ course }) => course).map(({ course }) => course.title.toLowerCase());
+  const existing = await db.query(
+    `SELECT title FROM courses
+     WHERE superseded_by IS NULL AND archived_at IS NULL AND LOWER(title) = ANY($1)`,
+    [titles]
+  );
+  const existingTitles = new Set(existing.rows.map(course => course.title.toLowerCase()));
+
+  const seen = new Map();
+  for (const entry of checked) {
+    if (!entry.course) continue;
+
+    const title = entry.course.title.toLowerCase();
+    if (existingTitles.has(title)) {
+      entry.errors = { title: `A course titled "${entry.course.title}" already exists` };
+    } else if (seen.has(title)) {
+      entry.errors = { title: `Row ${seen.get(title)} has the same title` };
+    } else {
+      seen.set(title, entry.row);
+    }
+  }
+
+  const valid = checked.every(({ errors }) => Object.keys(errors).length === 0);
+  const courseIds = new Map();
+
+  if (valid && !dryRun) {
+    await withTransaction(db, async (client) => {
+      for (const { row, course } of checked) {
+        const created = await createCourse(client, course);
+        courseIds.set(row, created.id);
+      }
+    });
+  }
+
+  return {
+    valid,
+    dry_run: dryRun,
+    imported: courseIds.size,
+    rows: checked.map(({ row, title, errors }) => ({
+      row,
+      title,
+      errors: Object.keys(errors).length > 0 ? errors : null,
+      course_id: courseIds.get(row) || null
+    }))
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_BYTES,
+  validateImportQuery,
+  parseImportFile,
+  importCourses
+};
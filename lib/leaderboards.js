@@ -0,0 +1,222 @@
+// Leaderboards
+//
+// Learners are ranked on what they have achieved in a time window: courses
+// completed and training hours from training_history, and skill points
+// gained from skill_history. A leaderboard covers the whole organization,
+// one role, or a manager's team (the manager and their direct reports).
+// Users who set users.leaderboard_opt_out are left out of every leaderboard,
+// including their own view of it.
+
+const { ROLES, normalizeRole } = require('./permissions');
+
+// What learners can be ranked on; value is the per-user aggregate over the
+// rows of table inside the window
+const LEADERBOARD_METRICS = {
+  courses_completed: {
+    table: 'training_history',
+    timeColumn: 'completed_at',
+    value: 'COUNT(*)::int'
+  },
+  hours: {
+    table: 'training_history',
+    timeColumn: 'completed_at',
+    value: 'SUM(t.duration)::int'
+  },
+  skill_growth: {
+    table: 'skill_history',
+    timeColumn: 'created_at',
+    value: 'SUM(t.new_value - t.previous_value)::int'
+  }
+};
+
+// Length of each window in days, null for all time
+const LEADERBOARD_PERIODS = {
+  week: 7,
+  month: 30,
+  all: null
+};
+
+const LEADERBOARD_SCOPES = ['organization', 'role', 'team'];
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+/**
+ * Validate leaderboard query parameters from the API
+ * @param {Object} query - metric, period, scope, role and limit
+ * @returns {{options: Object|null, errors: Object}} Options for
+ *   getLeaderboard with defaults applied, or errors keyed by field
+ */
+const validateLeaderboardQuery = (query) => {
+  const errors = {};
+  const options = {
+    metric: query.metric || 'courses_completed',
+    period: query.period || 'month',
+    scope: query.scope || 'organization',
+    role: query.role || null,
+    limit: query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit)
+  };
+
+  if (!LEADERBOARD_METRICS[options.metric]) {
+    errors.metric = `metric must be one of: ${Object.keys(LEADERBOARD_METRICS).join(', ')}`;
+  }
+
+  if (!(options.period in LEADERBOARD_PERIODS)) {
+    errors.period = `period must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(', ')}`;
+  }
+
+  if (!LEADERBOARD_SCOPES.includes(options.scope)) {
+    errors.scope = `scope must be one of: ${LEADERBOARD_SCOPES.join(', ')}`;
+  }
+
+  if (options.role !== null && !ROLES.includes(options.role)) {
+    errors.role = `role must be one of: ${ROLES.join(', ')}`;
+  }
+
+  if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+    errors.limit = `limit must be a whole number from 1 to ${MAX_LIMIT}`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { options: null, errors };
+  }
+
+  return { options, errors };
+};
+
+/**
+ * Find the manager whose team a user belongs to: the user themselves when
+ * they have direct reports, otherwise their own manager
+ * @param {Object} db - pg Pool or client
+ * @param {Object} user - User row with id and manager_id
+ * @returns {Promise<number|null>} The manager's ID, or null when the user is
+ *   not on a team
+ */
+const findTeamManager = async (db, user) => {
+  const reportsResult = await db.query(
+    'SELECT id FROM users WHERE manager_id = $1 LIMIT 1',
+    [user.id]
+  );
+
+  if (reportsResult.rows.length > 0) return user.id;
+  return user.manager_id;
+};
+
+/**
+ * Rank entries by value, giving tied entries the same rank (1, 2, 2, 4)
+ * @param {Array<Object>} rows - Rows with value, highest first
+ * @returns {Array<Object>} The rows with rank
+ */
+const rankEntries = (rows) => {
+  let rank = 0;
+  return rows.map((row, index) => {
+    if (index === 0 || row.value !== rows[index - 1].value) rank = index + 1;
+    return { rank, ...row };
+  });
+};
+
+/**
+ * Build a leaderboard for a user
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The viewing user's ID
+ * @param {Object} options - Options from validateLeaderboardQuery; role
+ *   defaults to the viewer's role for the role scope
+ * @param {Date} [now=new Date()] - End of the time window
+ * @returns {Promise<Object|null>} { metric, period, scope, role,
+ *   team_manager_id, since, entries, me, opted_out } where entries are the
+ *   top ranked users with rank, user_id, name, value and is_me, and me is
+ *   the viewer's own entry (null when unranked); null when the viewer is
+ *   not found or the team scope is asked for by a user not on a team
+ */
+const getLeaderboard = async (db, userId, options, now = new Date()) => {
+  const userResult = await db.query(
+    'SELECT id, role, manager_id, leaderboard_opt_out FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (userResult.rows.length === 0) return null;
+  const viewer = userResult.rows[0];
+
+  const metric = LEADERBOARD_METRICS[options.metric];
+  const days = LEADERBOARD_PERIODS[options.period];
+  const since = days === null ? null : new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const params = [];
+  const conditions = ['u.leaderboard_opt_out = false'];
+  let joinCondition = 't.user_id = u.id';
+
+  if (since) {
+    params.push(since);
+    joinCondition += ` AND t.${metric.timeColumn} >= $${params.length}`;
+  }
+
+  let role = null;
+  let teamManagerId = null;
+
+  if (options.scope === 'role') {
+    role = options.role || normalizeRole(viewer.role);
+    params.push(role);
+    conditions.push(`u.role = $${params.length}`);
+  } else if (options.scope === 'team') {
+    teamManagerId = await findTeamManager(db, viewer);
+    if (teamManagerId === null) return null;
+
+    params.push(teamManagerId);
+    conditions.push(`(u.id = $${params.length} OR u.manager_id = $${params.length})`);
+  }
+
+  const result = await db.query(
+    `SELECT u.id as user_id, u.name, ${metric.value} as value
+     FROM users u
+     JOIN ${metric.table} t ON ${joinCondition}
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY u.id, u.name
+     ORDER BY value DESC, u.name`,
+    params
+  );
+
+  // Training time is stored in minutes and ranked in hours
+  const rows = result.rows
+    .map(row => ({ ...row, value: options.metric === 'hours' ? Math.round(row.value / 6) / 10 : row.value }))
+    .filter(row => row.value > 0);
+
+  const ranked = rankEntries(rows).map(row => ({ ...row, is_me: row.user_id === viewer.id }));
+
+  return {
+    metric: options.metric,
+    period: options.period,
+    scope: options.scope,
+    role,
+    team_manager_id: teamManagerId,
+    since,
+    entries: ranked.slice(0, options.limit),
+    me: ranked.find(row => row.is_me) || null,
+    opted_out: viewer.leaderboard_opt_out
+  };
+};
+
+/**
+ * Opt a user out of leaderboards, or back in
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {boolean} optOut - Whether to hide the user from leaderboards
+ * @returns {Promise<boolean|null>} The saved setting, or null when the user
+ *   does not exist
+ */
+const setLeaderboardOptOut = async (db, userId, optOut) => {
+  const result = await db.query(
+    'UPDATE users SET leaderboard_opt_out = $1 WHERE id = $2 RETURNING leaderboard_opt_out',
+    [optOut, userId]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].leaderboard_opt_out : null;
+};
+
+module.exports = {
+  LEADERBOARD_METRICS,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_SCOPES,
+  validateLeaderboardQuery,
+  getLeaderboard,
+  setLeaderboardOptOut
+};
@@ -0,0 +1,93 @@
+// Outbound mail
+//
+// Messages are handed to a transport, an async function taking
+// { to, subject, text }. MAIL_TRANSPORT picks a built-in one: 'console'
+// (the default) logs each message, and 'file' writes each one as JSON to
+// MAIL_DIR, which is handy for development and for tests that need to read
+// the links they contain. A real mail service is plugged in with
+// setMailTransport.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ACCOUNT_TOKEN_TTL_HOURS } = require('./accounts');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'SkillBoost <no-reply@skillboost.local>';
+
+const TRANSPORTS = {
+  console: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'skillboost-mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+  }
+};
+
+let customTransport = null;
+
+/**
+ * Send mail through a custom transport instead of MAIL_TRANSPORT
+ * @param {Function|null} transport - async ({ from, to, subject, text }) =>
+ *   void, or null to go back to MAIL_TRANSPORT
+ */
+const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+/**
+ * Send a plain-text email
+ * @param {Object} message - to, subject and text
+ * @returns {Promise<void>}
+ * @throws {Error} When MAIL_TRANSPORT names no built-in transport
+ */
+const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = customTransport || TRANSPORTS[name];
+
+  if (!transport) {
+    throw new Error(`MAIL_TRANSPORT must be one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+
+  await transport({ from: MAIL_FROM, ...message });
+};
+
+/**
+ * Describe a link's lifetime, e.g. "1 hour" or "24 hours"
+ * @param {number} hours
+ * @returns {string}
+ */
+const formatHours = (hours) => (hours === 1 ? '1 hour' : `${hours} hours`);
+
+/**
+ * Email a new user the link that verifies their address
+ * @param {Object} user - User row with name and email
+ * @param {string} link - Verification link
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = (user, link) => sendMail({
+  to: user.email,
+  subject: 'Verify your SkillBoost email address',
+  text: `Hi ${user.name},\n\nConfirm this is your email address by opening the link below:\n\n${link}\n\nThe link expires in ${formatHours(ACCOUNT_TOKEN_TTL_HOURS.email_verification)}.`
+});
+
+/**
+ * Email a user the link that lets them choose a new password
+ * @param {Object} user - User row with name and email
+ * @param {string} link - Password reset link
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = (user, link) => sendMail({
+  to: user.email,
+  subject: 'Reset your SkillBoost password',
+  text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. Choose a new one here:\n\n${link}\n\nThe link expires in ${formatHours(ACCOUNT_TOKEN_TTL_HOURS.password_reset)} and can only be used once. If you didn't ask for this, you can ignore this email.`
+});
+
+module.exports = {
+  setMailTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
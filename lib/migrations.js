@@ -0,0 +1,230 @@
+// Versioned database migrations
+//
+// Each migration is a pair of files in migrations/: NNN_name.up.sql makes a
+// schema change and NNN_name.down.sql reverses it. The versions applied to a
+// database are recorded in schema_migrations. A migration runs in one
+// transaction together with its schema_migrations row, so one that fails
+// leaves nothing behind, and under an advisory lock, so two deploys
+// migrating the same database at once take turns.
+
+const fs = require('fs');
+const path = require('path');
+const { withTransaction } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Key of the advisory lock held while migrating; any number no other code
+// locks on will do
+const MIGRATION_LOCK_KEY = 72616;
+
+/**
+ * Name a migration the way its files are named
+ * @param {Object} migration - { version, name }
+ * @returns {string} e.g. 001_initial_schema
+ */
+const migrationId = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+/**
+ * Read the migrations in a directory
+ * @param {string} [dir=MIGRATIONS_DIR]
+ * @returns {Array<Object>} { version, name, up, down } ordered by version,
+ *   where up and down are the SQL of each file
+ * @throws {Error} When a file is misnamed, two migrations share a version or
+ *   a migration lacks its up or down file
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir).filter(file => file.endsWith('.sql'))) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      throw new Error(`Migration file ${file} is not named NNN_name.up.sql or NNN_name.down.sql`);
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = Number(versionText);
+    const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+    if (migration.name !== name) {
+      throw new Error(`Migrations ${migrationId(migration)} and ${migrationId({ version, name })} share a version`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => a.version - b.version);
+  const incomplete = sorted.find(migration => migration.up === null || migration.down === null);
+  if (incomplete) {
+    const missing = incomplete.up === null ? 'up' : 'down';
+    throw new Error(`Migration ${migrationId(incomplete)} has no ${missing}.sql file`);
+  }
+
+  return sorted;
+};
+
+/**
+ * Create schema_migrations if this is the database's first migration
+ * @param {Object} db - pg Pool
+ * @returns {Promise<void>}
+ */
+const ensureMigrationsTable = (db) => withTransaction(db, async (client) => {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+});
+
+/**
+ * List the migrations applied to the database
+ * @param {Object} db - pg Pool or client
+ * @returns {Promise<Array<Object>>} schema_migrations rows ordered by
+ *   version; empty when the database has never been migrated
+ */
+const getAppliedMigrations = async (db) => {
+  try {
+    const result = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+  } catch (error) {
+    // undefined_table: nothing has been migrated yet
+    if (error.code === '42P01') return [];
+    throw error;
+  }
+};
+
+/**
+ * Compare the migration files with what the database has applied
+ * @param {Object} db - pg Pool or client
+ * @param {Array<Object>} [migrations] - From loadMigrations
+ * @returns {Promise<Array<Object>>} { version, name, applied_at, missing }
+ *   for every migration ordered by version, where applied_at is null for
+ *   pending ones and missing is true for applied ones whose files are gone
+ */
+const getMigrationStatus = async (db, migrations = loadMigrations()) => {
+  const applied = await getAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  const status = migrations.map(({ version, name }) => ({
+    version,
+    name,
+    applied_at: appliedByVersion.has(version) ? appliedByVersion.get(version).applied_at : null,
+    missing: false
+  }));
+
+  const known = new Set(migrations.map(migration => migration.version));
+  for (const row of applied.filter(row => !known.has(row.version))) {
+    status.push({ ...row, missing: true });
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+};
+
+/**
+ * List the migrations the database has yet to apply
+ * @param {Object} db - pg Pool or client
+ * @param {Array<Object>} [migrations] - From loadMigrations
+ * @returns {Promise<Array<Object>>} Migrations from loadMigrations
+ */
+const getPendingMigrations = async (db, migrations = loadMigrations()) => {
+  const applied = new Set((await getAppliedMigrations(db)).map(row => row.version));
+  return migrations.filter(migration => !applied.has(migration.version));
+};
+
+/**
+ * Apply or roll back one migration
+ * @param {Object} db - pg Pool
+ * @param {Object} migration - From loadMigrations
+ * @param {string} direction - up or down
+ * @returns {Promise<boolean>} False when another process got there first
+ */
+const runMigration = (db, migration, direction) => withTransaction(db, async (client) => {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+
+  // Checked again under the lock, in case another process was migrating
+  const result = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+  if ((result.rows.length > 0) === (direction === 'up')) return false;
+
+  await client.query(migration[direction]);
+
+  if (direction === 'up') {
+    await client.query(
+      'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+      [migration.version, migration.name]
+    );
+  } else {
+    await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+  }
+  return true;
+});
+
+/**
+ * Apply pending migrations, oldest first
+ * @param {Object} db - pg Pool
+ * @param {Object} [options]
+ * @param {number} [options.to] - Apply none newer than this version
+ * @param {Function} [options.log] - Called with a line of progress before
+ *   each migration
+ * @param {Array<Object>} [migrations] - From loadMigrations
+ * @returns {Promise<Array<Object>>} The migrations applied
+ */
+const migrateUp = async (db, { to, log = () => {} } = {}, migrations = loadMigrations()) => {
+  await ensureMigrationsTable(db);
+
+  const pending = (await getPendingMigrations(db, migrations))
+    .filter(migration => to === undefined || migration.version <= to);
+
+  const applied = [];
+  for (const migration of pending) {
+    log(`Applying ${migrationId(migration)}`);
+    if (await runMigration(db, migration, 'up')) applied.push(migration);
+  }
+  return applied;
+};
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} db - pg Pool
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many to roll back
+ * @param {number} [options.to] - Instead of steps, roll back every migration
+ *   newer than this version (0 for all of them)
+ * @param {Function} [options.log] - Called with a line of progress before
+ *   each migration
+ * @param {Array<Object>} [migrations] - From loadMigrations
+ * @returns {Promise<Array<Object>>} The migrations rolled back
+ * @throws {Error} When one to roll back has no files, before any is rolled back
+ */
+const migrateDown = async (db, { steps = 1, to, log = () => {} } = {}, migrations = loadMigrations()) => {
+  const applied = (await getAppliedMigrations(db)).reverse();
+  const targets = to === undefined
+    ? applied.slice(0, steps)
+    : applied.filter(row => row.version > to);
+
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const missing = targets.find(row => !byVersion.has(row.version));
+  if (missing) {
+    throw new Error(`Migration ${migrationId(missing)} is applied but its files are missing, so it cannot be rolled back`);
+  }
+
+  const rolledBack = [];
+  for (const row of targets) {
+    const migration = byVersion.get(row.version);
+    log(`Rolling back ${migrationId(migration)}`);
+    if (await runMigration(db, migration, 'down')) rolledBack.push(migration);
+  }
+  return rolledBack;
+};
+
+module.exports = {
+  migrationId,
+  loadMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown
+};
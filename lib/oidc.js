@@ -0,0 +1,202 @@
+// OpenID Connect login
+//
+// The authorization code flow with PKCE: the browser is sent to the
+// provider's authorization endpoint, comes back to the callback with a code,
+// and the code is exchanged for an ID token whose signature is checked
+// against the provider's published keys (JWKS). Discovery documents and
+// keys are cached; keys are fetched again when a token is signed with one
+// we have not seen, so provider key rotation needs no restart.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { startSsoLogin, consumeSsoLogin } = require('./sso');
+
+// Signing algorithms accepted for ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Encode bytes as base64url, as PKCE and JWTs use
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Fetch a JSON document from the provider
+ * @param {string} url
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>}
+ * @throws {Error} When the response is not a success
+ */
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}: ${JSON.stringify(body)}`);
+  }
+  return body;
+};
+
+/**
+ * Get the provider's discovery document
+ * @param {Object} config - oidc from getSsoConfig
+ * @returns {Promise<Object>} authorization_endpoint, token_endpoint, jwks_uri
+ *   and the rest of the provider's metadata
+ */
+const discover = async (config) => {
+  if (!discoveryCache.has(config.issuer)) {
+    const metadata = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(config.issuer, metadata);
+  }
+  return discoveryCache.get(config.issuer);
+};
+
+/**
+ * Find the public key an ID token was signed with
+ * @param {Object} metadata - From discover
+ * @param {string} kid - Key ID from the token's header
+ * @returns {Promise<crypto.KeyObject|null>} The key, or null when the
+ *   provider does not publish one with that ID
+ */
+const getSigningKey = async (metadata, kid) => {
+  const findKey = () => (jwksCache.get(metadata.jwks_uri) || []).find(key => !kid || key.kid === kid);
+
+  if (!findKey()) {
+    const jwks = await fetchJson(metadata.jwks_uri);
+    jwksCache.set(metadata.jwks_uri, jwks.keys || []);
+  }
+
+  const jwk = findKey();
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+/**
+ * Start a login: record it and build the provider's authorization URL
+ * @param {Object} db - pg Pool or client
+ * @param {Object} config - oidc from getSsoConfig
+ * @returns {Promise<Object>} { url, state } where state must also be kept
+ *   in a cookie so the callback can check the same browser came back
+ */
+const getOidcLoginUrl = async (db, config) => {
+  const metadata = await discover(config);
+
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const nonce = base64Url(crypto.randomBytes(16));
+  const state = await startSsoLogin(db, 'oidc', { codeVerifier, requestId: nonce });
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), state };
+};
+
+/**
+ * Exchange an authorization code for the provider's tokens
+ * @param {Object} config - oidc from getSsoConfig
+ * @param {Object} metadata - From discover
+ * @param {string} code - Code from the callback
+ * @param {string} codeVerifier - PKCE verifier saved when the login started
+ * @returns {Promise<Object>} The token response, with id_token
+ */
+const exchangeCode = (config, metadata, code, codeVerifier) => {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // Confidential clients authenticate with client_secret_basic
+  if (config.clientSecret) {
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      code_verifier: codeVerifier
+    }).toString()
+  });
+};
+
+/**
+ * Finish a login at the callback
+ * @param {Object} db - pg Pool or client
+ * @param {Object} config - oidc from getSsoConfig
+ * @param {Object} query - The callback's query string: code and state, or
+ *   error and error_description
+ * @param {string} [cookieState] - State from the cookie set when the login
+ *   started
+ * @returns {Promise<Object>} { loginId, identity } for provisionSsoUser, or
+ *   { error } with a message for the user
+ */
+const completeOidcLogin = async (db, config, query, cookieState) => {
+  if (query.error) {
+    return { error: `The identity provider refused the login: ${query.error_description || query.error}` };
+  }
+
+  // The state must come back to the browser that started the login
+  if (!cookieState || cookieState !== query.state) {
+    return { error: 'This login was started in another browser or has expired, please try again' };
+  }
+
+  const login = await consumeSsoLogin(db, 'oidc', query.state);
+  if (!login) {
+    return { error: 'This login has expired or was already used, please try again' };
+  }
+
+  const metadata = await discover(config);
+  const tokens = await exchangeCode(config, metadata, query.code, login.code_verifier);
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  const key = decoded && await getSigningKey(metadata, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: config.clientId
+    });
+  } catch (error) {
+    console.error('Invalid ID token:', error.message);
+    claims = null;
+  }
+
+  if (!claims || claims.nonce !== login.request_id) {
+    return { error: 'The identity provider sent an invalid ID token' };
+  }
+
+  return {
+    loginId: login.id,
+    identity: {
+      protocol: 'oidc',
+      issuer: claims.iss,
+      subject: claims.sub,
+      email: claims.email || null,
+      emailVerified: claims.email_verified === true,
+      name: claims.name || null,
+      username: claims.preferred_username || null,
+      groups: claims[config.groupsClaim]
+    }
+  };
+};
+
+module.exports = {
+  getOidcLoginUrl,
+  completeOidcLogin
+};
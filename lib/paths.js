@@ -0,0 +1,364 @@
+// Learning paths and course prerequisites
+//
+// A learning path is an ordered program of courses, and a course can require
+// other courses to be completed before it is started. Both refer to courses
+// by their first version (the lineage ID) so they carry over when a course
+// is edited. A course with unmet prerequisites is locked, unless the learner
+// had already started it before the prerequisites were added.
+
+const { withTransaction } = require('./db');
+
+// Lineage IDs of the courses a user has completed any version of
+const COMPLETED_LINEAGES = `
+  SELECT COALESCE(cc.lineage_id, cc.id)
+  FROM user_course_progress ucp
+  JOIN courses cc ON ucp.course_id = cc.id
+  WHERE ucp.user_id = $1 AND ucp.status = 'completed'`;
+
+// Lineage IDs of the courses a user has started any version of
+const STARTED_LINEAGES = `
+  SELECT COALESCE(sc.lineage_id, sc.id)
+  FROM user_course_progress sp
+  JOIN courses sc ON sp.course_id = sc.id
+  WHERE sp.user_id = $1 AND sp.status <> 'not_started'`;
+
+/**
+ * Check a list of course IDs from the API
+ * @param {*} courseIds - Value from the request body
+ * @param {string} field - Name of the field, for the message
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCourseIds = (courseIds, field) => {
+  if (!Array.isArray(courseIds) || !courseIds.every(Number.isInteger)) {
+    return `${field} must be an array of course IDs`;
+  }
+  if (new Set(courseIds).size !== courseIds.length) {
+    return `${field} must not repeat a course`;
+  }
+  return null;
+};
+
+/**
+ * Validate a learning path from the API
+ * @param {Object} input - title, optional description and course_ids in order
+ * @returns {{path: Object|null, errors: Object}} The path ready to store, or
+ *   errors keyed by field
+ */
+const validatePath = (input) => {
+  const errors = {};
+
+  if (typeof input.title !== 'string' || !input.title.trim()) {
+    errors.title = 'title is required';
+  }
+
+  if (input.description !== undefined && input.description !== null && typeof input.description !== 'string') {
+    errors.description = 'description must be text';
+  }
+
+  const courseIdsError = validateCourseIds(input.course_ids, 'course_ids');
+  if (courseIdsError) {
+    errors.course_ids = courseIdsError;
+  } else if (input.course_ids.length === 0) {
+    errors.course_ids = 'a learning path needs at least one course';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { path: null, errors };
+  }
+
+  return {
+    path: {
+      title: input.title.trim(),
+      description: input.description ? input.description.trim() : null,
+      course_ids: input.course_ids
+    },
+    errors
+  };
+};
+
+/**
+ * Map course IDs, of any version, onto the IDs of their first versions
+ * @param {Object} db - pg Pool or client
+ * @param {Array<number>} courseIds - Course IDs
+ * @returns {Promise<Array<number>|null>} Lineage IDs in the same order, or
+ *   null when a course does not exist
+ */
+const resolveLineageIds = async (db, courseIds) => {
+  if (courseIds.length === 0) return [];
+
+  const placeholders = courseIds.map((_, index) => `$${index + 1}`).join(', ');
+  const result = await db.query(
+    `SELECT id, COALESCE(lineage_id, id) as lineage_id FROM courses WHERE id IN (${placeholders})`,
+    courseIds
+  );
+
+  const lineageById = new Map(result.rows.map(row => [row.id, row.lineage_id]));
+  if (!courseIds.every(id => lineageById.has(id))) return null;
+
+  return courseIds.map(id => lineageById.get(id));
+};
+
+/**
+ * List the courses a user cannot start yet, with the prerequisites they
+ * still have to complete. Archived prerequisites are not required.
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @returns {Promise<Array<Object>>} { lineage_id, missing: [{ id, title }] }
+ *   for each locked course
+ */
+const getLockedCourses = async (db, userId) => {
+  const result = await db.query(
+    `SELECT p.course_id, c.id, c.title
+     FROM course_prerequisites p
+     JOIN courses c ON COALESCE(c.lineage_id, c.id) = p.prerequisite_id AND c.superseded_by IS NULL
+     WHERE c.archived_at IS NULL
+       AND p.prerequisite_id NOT IN (${COMPLETED_LINEAGES})
+       AND p.course_id NOT IN (${STARTED_LINEAGES})
+     ORDER BY p.course_id, c.title`,
+    [userId]
+  );
+
+  const locked = new Map();
+  for (const row of result.rows) {
+    if (!locked.has(row.course_id)) locked.set(row.course_id, []);
+    locked.get(row.course_id).push({ id: row.id, title: row.title });
+  }
+
+  return [...locked.entries()].map(([lineageId, missing]) => ({ lineage_id: lineageId, missing }));
+};
+
+/**
+ * List the prerequisites a user still has to complete before starting a course
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {number} lineageId - ID of the course's first version
+ * @returns {Promise<Array<Object>>} Missing prerequisites as { id, title };
+ *   empty when the course is open to the user
+ */
+const getMissingPrerequisites = async (db, userId, lineageId) => {
+  const locked = await getLockedCourses(db, userId);
+  const course = locked.find(entry => entry.lineage_id === lineageId);
+  return course ? course.missing : [];
+};
+
+/**
+ * Check whether requiring some courses before a course would make a course
+ * (indirectly) require itself
+ * @param {Object} db - pg Pool or client
+ * @param {number} lineageId - ID of the course's first version
+ * @param {Array<number>} prerequisiteIds - Lineage IDs of the prerequisites
+ * @returns {Promise<boolean>}
+ */
+const createsPrerequisiteCycle = async (db, lineageId, prerequisiteIds) => {
+  const result = await db.query(
+    'SELECT course_id, prerequisite_id FROM course_prerequisites WHERE course_id <> $1',
+    [lineageId]
+  );
+
+  const requires = new Map();
+  for (const row of result.rows) {
+    if (!requires.has(row.course_id)) requires.set(row.course_id, []);
+    requires.get(row.course_id).push(row.prerequisite_id);
+  }
+
+  const seen = new Set();
+  const pending = [...prerequisiteIds];
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (id === lineageId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    pending.push(...(requires.get(id) || []));
+  }
+
+  return false;
+};
+
+/**
+ * Replace the prerequisites of a course
+ * @param {Object} db - pg Pool or client
+ * @param {number} lineageId - ID of the course's first version
+ * @param {Array<number>} prerequisiteIds - Lineage IDs, checked with
+ *   createsPrerequisiteCycle
+ * @returns {Promise<Array<number>>} The prerequisite IDs
+ */
+const setPrerequisites = (db, lineageId, prerequisiteIds) => withTransaction(db, async (client) => {
+  await client.query('DELETE FROM course_prerequisites WHERE course_id = $1', [lineageId]);
+
+  for (const prerequisiteId of prerequisiteIds) {
+    await client.query(
+      'INSERT INTO course_prerequisites (course_id, prerequisite_id) VALUES ($1, $2)',
+      [lineageId, prerequisiteId]
+    );
+  }
+
+  return prerequisiteIds;
+});
+
+/**
+ * Create a learning path
+ * @param {Object} db - pg Pool or client
+ * @param {Object} path - Path from validatePath, with course_ids mapped
+ *   through resolveLineageIds
+ * @returns {Promise<Object>} The path row with course_ids
+ */
+const createPath = (db, path) => withTransaction(db, async (client) => {
+  const result = await client.query(
+    'INSERT INTO learning_paths (title, description) VALUES ($1, $2) RETURNING *',
+    [path.title, path.description]
+  );
+
+  const created = result.rows[0];
+
+  for (const [position, courseId] of path.course_ids.entries()) {
+    await client.query(
+      'INSERT INTO learning_path_courses (path_id, course_id, position) VALUES ($1, $2, $3)',
+      [created.id, courseId, position]
+    );
+  }
+
+  return { ...created, course_ids: path.course_ids };
+});
+
+/**
+ * Attach each path's courses and the user's progress through them
+ * @param {Object} db - pg Pool or client
+ * @param {number|null} userId - The user's ID, or null for a guest
+ * @param {Array<Object>} paths - learning_paths rows
+ * @returns {Promise<Array<Object>>} Paths with enrolled_at, courses,
+ *   completed_courses, total_courses, progress and status
+ */
+const withPathProgress = async (db, userId, paths) => {
+  if (paths.length === 0) return [];
+
+  const coursesResult = await db.query(
+    `SELECT lpc.path_id, lpc.position, c.id, c.lineage_id, c.title, c.category, c.duration
+     FROM learning_path_courses lpc
+     JOIN courses c ON COALESCE(c.lineage_id, c.id) = lpc.course_id AND c.superseded_by IS NULL
+     WHERE c.archived_at IS NULL
+     ORDER BY lpc.path_id, lpc.position`
+  );
+
+  const progressResult = await db.query(
+    `SELECT COALESCE(c.lineage_id, c.id) as lineage_id, ucp.course_id, ucp.progress, ucp.status
+     FROM user_course_progress ucp
+     JOIN courses c ON ucp.course_id = c.id
+     WHERE ucp.user_id = $1`,
+    [userId]
+  );
+
+  const enrollmentResult = await db.query(
+    'SELECT path_id, enrolled_at FROM learning_path_enrollments WHERE user_id = $1',
+    [userId]
+  );
+
+  const locked = await getLockedCourses(db, userId);
+
+  // Learners keep the version they started, so their furthest progress on
+  // any version counts
+  const progressByLineage = new Map();
+  for (const row of progressResult.rows) {
+    const current = progressByLineage.get(row.lineage_id);
+    if (!current || row.progress > current.progress) {
+      progressByLineage.set(row.lineage_id, row);
+    }
+  }
+
+  const enrolledAt = new Map(enrollmentResult.rows.map(row => [row.path_id, row.enrolled_at]));
+  const missingByLineage = new Map(locked.map(entry => [entry.lineage_id, entry.missing]));
+
+  return paths.map(path => {
+    const courses = coursesResult.rows
+      .filter(row => row.path_id === path.id)
+      .map(row => {
+        const lineageId = row.lineage_id || row.id;
+        const progress = progressByLineage.get(lineageId);
+        return {
+          id: progress ? progress.course_id : row.id,
+          lineage_id: lineageId,
+          title: row.title,
+          category: row.category,
+          duration: row.duration,
+          progress: progress ? progress.progress : 0,
+          status: progress ? progress.status : 'not_started',
+          missing_prerequisites: missingByLineage.get(lineageId) || []
+        };
+      });
+
+    // Weighted by duration, like the progress of the modules within a course
+    const totalMinutes = courses.reduce((sum, course) => sum + course.duration, 0);
+    const doneMinutes = courses.reduce((sum, course) => sum + (course.duration * course.progress) / 100, 0);
+    const completedCourses = courses.filter(course => course.status === 'completed').length;
+    const progress = completedCourses === courses.length && courses.length > 0
+      ? 100
+      : totalMinutes > 0 ? Math.floor((doneMinutes / totalMinutes) * 100) : 0;
+
+    return {
+      ...path,
+      enrolled_at: enrolledAt.get(path.id) || null,
+      courses,
+      completed_courses: completedCourses,
+      total_courses: courses.length,
+      progress,
+      status: progress === 100 ? 'completed' : courses.some(course => course.status !== 'not_started') ? 'in_progress' : 'not_started'
+    };
+  });
+};
+
+/**
+ * List every learning path with the user's progress through it
+ * @param {Object} db - pg Pool or client
+ * @param {number|null} userId - The user's ID, or null for a guest
+ * @returns {Promise<Array<Object>>} Paths ordered by title; see withPathProgress
+ */
+const listPaths = async (db, userId) => {
+  const result = await db.query('SELECT * FROM learning_paths ORDER BY title');
+  return withPathProgress(db, userId, result.rows);
+};
+
+/**
+ * Get a learning path with the user's progress through it
+ * @param {Object} db - pg Pool or client
+ * @param {number} pathId - The path's ID
+ * @param {number|null} userId - The user's ID, or null for a guest
+ * @returns {Promise<Object|null>} The path, or null if not found; see
+ *   withPathProgress
+ */
+const getPath = async (db, pathId, userId) => {
+  const result = await db.query('SELECT * FROM learning_paths WHERE id = $1', [pathId]);
+  const [path] = await withPathProgress(db, userId, result.rows);
+  return path || null;
+};
+
+/**
+ * Enroll a user in a learning path; enrolling again keeps the first date
+ * @param {Object} db - pg Pool or client
+ * @param {number} pathId - The path's ID
+ * @param {number} userId - The user's ID
+ * @returns {Promise<boolean>} Whether a new enrollment was created
+ */
+const enrollInPath = async (db, pathId, userId) => {
+  const result = await db.query(
+    `INSERT INTO learning_path_enrollments (path_id, user_id)
+     VALUES ($1, $2)
+     ON CONFLICT (path_id, user_id) DO NOTHING
+     RETURNING path_id`,
+    [pathId, userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  validateCourseIds,
+  validatePath,
+  resolveLineageIds,
+  getLockedCourses,
+  getMissingPrerequisites,
+  createsPrerequisiteCycle,
+  setPrerequisites,
+  createPath,
+  listPaths,
+  getPath,
+  enrollInPath
+};
@@ -0,0 +1,79 @@
+// Roles and permissions
+//
+// users.role is one of admin, manager or learner. Routes are guarded by
+// permission rather than by role so the mapping below is the one place to
+// change who can do what. Roles from before this model (e.g. 'user') are
+// treated as learner.
+
+const ROLES = ['admin', 'manager', 'learner'];
+
+const DEFAULT_ROLE = 'learner';
+
+// Roles granted each permission
+const PERMISSIONS = {
+  // Create, edit and archive courses
+  'courses:manage': ['admin'],
+  // List users and assign roles
+  'users:manage': ['admin'],
+  // Read the progress of direct reports (admins can read anyone's)
+  'reports:read': ['admin', 'manager'],
+  // Assign courses to direct reports (admins can assign to anyone)
+  'courses:assign': ['admin', 'manager'],
+  // List, hide and republish course reviews
+  'reviews:moderate': ['admin'],
+  // Export the whole organization's training records
+  'data:export': ['admin']
+};
+
+/**
+ * Map a stored role onto the permission model
+ * @param {string} role - users.role value
+ * @returns {string} admin, manager or learner
+ */
+const normalizeRole = (role) => (ROLES.includes(role) ? role : DEFAULT_ROLE);
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - users.role value
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) =>
+  (PERMISSIONS[permission] || []).includes(normalizeRole(role));
+
+/**
+ * Check whether one user may read another's progress: their own, any
+ * user's for admins, and their direct reports' for managers
+ * @param {Object} viewer - User row with id and role
+ * @param {Object} target - User row with id and manager_id
+ * @returns {boolean}
+ */
+const canViewUserProgress = (viewer, target) => {
+  if (viewer.id === target.id) return true;
+  if (normalizeRole(viewer.role) === 'admin') return true;
+  return hasPermission(viewer.role, 'reports:read') && target.manager_id === viewer.id;
+};
+
+/**
+ * Check whether a user may create an assignment: admins can target anyone,
+ * any role or any group; managers only their own direct reports
+ * @param {Object} assigner - User row with id and role
+ * @param {Object|null} target - Assigned user row with id and manager_id, or
+ *   null for role and group assignments
+ * @returns {boolean}
+ */
+const canAssignCourse = (assigner, target) => {
+  if (normalizeRole(assigner.role) === 'admin') return true;
+  if (!hasPermission(assigner.role, 'courses:assign') || !target) return false;
+  return target.manager_id === assigner.id;
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  normalizeRole,
+  hasPermission,
+  canViewUserProgress,
+  canAssignCourse
+};
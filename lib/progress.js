@@ -0,0 +1,326 @@
+// Course and module progress tracking
+//
+// Course progress is derived from the modules a user has completed,
+// weighted by each module's duration, rather than set directly. Every
+// update runs in one transaction that starts by locking the user's progress
+// row for the course, so concurrent updates of the same course take turns
+// and completing it is only ever counted once.
+
+const { withTransaction } = require('./db');
+const { getAssessmentStatus } = require('./assessments');
+const { applySkillGrowth } = require('./skills');
+const { issueCertificate } = require('./certificates');
+const { recordLearningActivity } = require('./achievements');
+const { refreshUserStats } = require('./stats');
+
+/**
+ * Total duration of a course's modules in minutes
+ * @param {Array<Object>} modules - The course's modules JSONB array
+ * @returns {number} Sum of module durations
+ */
+const totalModuleMinutes = (modules) =>
+  modules.reduce((sum, module) => sum + (Number(module.duration) || 0), 0);
+
+/**
+ * Derive a course progress percentage from completed modules
+ * @param {Array<Object>} modules - The course's modules JSONB array
+ * @param {Array<number>} completedIndexes - Indexes of completed modules
+ * @returns {number} Progress percentage (0-100)
+ */
+const progressFromModules = (modules, completedIndexes) => {
+  if (modules.length === 0) return 0;
+
+  const completed = modules.filter((module, index) => completedIndexes.includes(index));
+  if (completed.length === modules.length) return 100;
+
+  const total = totalModuleMinutes(modules);
+
+  // Fall back to counting modules when durations are missing
+  if (total === 0) {
+    return Math.floor((completed.length / modules.length) * 100);
+  }
+
+  return Math.floor((totalModuleMinutes(completed) / total) * 100);
+};
+
+/**
+ * Lock a user's progress row for a course until the transaction ends,
+ * creating it as not started when there is none yet
+ * @param {Object} client - pg client inside a transaction
+ * @param {number} userId - The user's ID
+ * @param {number} courseId - The course's ID
+ * @returns {Promise<Object>} The user_course_progress row as it was before
+ *   this update
+ */
+const lockCourseProgress = async (client, userId, courseId) => {
+  // The no-op update takes the row lock when the row already exists
+  const result = await client.query(
+    `INSERT INTO user_course_progress (user_id, course_id, progress, status, dismissed)
+     VALUES ($1, $2, 0, 'not_started', false)
+     ON CONFLICT (user_id, course_id) DO UPDATE SET user_id = EXCLUDED.user_id
+     RETURNING *`,
+    [userId, courseId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Check whether a user has already completed any version of a course
+ * The user's row is locked first, so concurrent completions of different
+ * versions of the course take turns.
+ * @param {Object} client - pg client inside a transaction
+ * @param {number} userId - The user's ID
+ * @param {Object} course - Course row
+ * @returns {Promise<boolean>}
+ */
+const hasCompletedLineage = async (client, userId, course) => {
+  await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+  const result = await client.query(
+    `SELECT 1 FROM training_history th
+     JOIN courses c ON th.course_id = c.id
+     WHERE th.user_id = $1 AND COALESCE(c.lineage_id, c.id) = $2
+     LIMIT 1`,
+    [userId, course.lineage_id || course.id]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Get the per-module progress of a user in a course
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {Object} course - Course row
+ * @returns {Promise<Object>} Modules with status, the derived progress and
+ *   the index of the module to resume at (null when all are completed)
+ */
+const getModuleProgress = async (db, userId, course) => {
+  const result = await db.query(
+    `SELECT module_index, status, started_at, completed_at
+     FROM user_module_progress
+     WHERE user_id = $1 AND course_id = $2`,
+    [userId, course.id]
+  );
+
+  const byIndex = new Map(result.rows.map(row => [row.module_index, row]));
+
+  const modules = course.modules.map((module, index) => {
+    const row = byIndex.get(index);
+    return {
+      index,
+      title: module.title,
+      duration: module.duration,
+      status: row ? row.status : 'not_started',
+      started_at: row ? row.started_at : null,
+      completed_at: row ? row.completed_at : null
+    };
+  });
+
+  const completedIndexes = modules
+    .filter(module => module.status === 'completed')
+    .map(module => module.index);
+
+  const resume = modules.find(module => module.status !== 'completed');
+
+  return {
+    course_id: course.id,
+    progress: progressFromModules(course.modules, completedIndexes),
+    resume_module: resume ? resume.index : null,
+    modules
+  };
+};
+
+/**
+ * Store a derived progress value for a course, recording training history,
+ * issuing a certificate and growing skills when the course is first
+ * completed, and refreshing the user's stats. Completing it again, after
+ * going back below 100% or on a newer version, is not a first completion.
+ * Every update counts towards the user's streak and completed modules and
+ * courses earn XP and badges. A course with assessments still to pass is
+ * held at 99% until they are passed.
+ * @param {Object} db - pg Pool, or a client whose transaction has locked the
+ *   row with lockCourseProgress
+ * @param {number} userId - The user's ID
+ * @param {Object} course - Course row
+ * @param {number} moduleProgress - Progress percentage (0-100) from modules
+ * @param {Object} [options]
+ * @param {boolean} [options.started=false] - A module has been started, so the
+ *   course counts as in progress even before any module is completed
+ * @param {Array<number>} [options.completedModules=[]] - Indexes of the
+ *   modules completed by this update
+ * @returns {Promise<Object>} The updated user_course_progress row, with
+ *   skill_changes listing any skills raised by completing the course, the
+ *   certificate issued for it and the achievements from recordLearningActivity
+ */
+const saveCourseProgress = (db, userId, course, moduleProgress, { started = false, completedModules = [] } = {}) => withTransaction(db, async (client) => {
+  const courseId = course.id;
+  const previous = await lockCourseProgress(client, userId, courseId);
+
+  // Completion is gated on passing every assessment; the score is the
+  // average of the best attempt at each one
+  const assessmentStatus = await getAssessmentStatus(client, userId, courseId);
+  const progress = moduleProgress === 100 && !assessmentStatus.allPassed ? 99 : moduleProgress;
+  const score = assessmentStatus.score;
+
+  const now = new Date();
+  const status = progress === 100 ? 'completed' : (progress > 0 || started ? 'in_progress' : 'not_started');
+  const completedAt = progress === 100 ? now : null;
+
+  let skillChanges = [];
+  let certificate = null;
+
+  const result = await client.query(
+    `INSERT INTO user_course_progress
+     (user_id, course_id, progress, status, last_accessed_at, completed_at, score, dismissed)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, false)
+     ON CONFLICT (user_id, course_id) DO UPDATE
+     SET progress = EXCLUDED.progress,
+         status = EXCLUDED.status,
+         last_accessed_at = EXCLUDED.last_accessed_at,
+         completed_at = CASE
+           WHEN EXCLUDED.status = 'completed'
+           THEN COALESCE(user_course_progress.completed_at, EXCLUDED.completed_at)
+         END,
+         score = EXCLUDED.score
+     RETURNING *`,
+    [userId, courseId, progress, status, now, completedAt, score]
+  );
+
+  // If course is completed for the first time, add to training history
+  if (progress === 100 && previous.progress < 100 && !(await hasCompletedLineage(client, userId, course))) {
+    const historyResult = await client.query(
+      `INSERT INTO training_history
+       (user_id, course_id, completed_at, duration, score, certificate)
+       VALUES ($1, $2, $3, $4, $5, true)
+       RETURNING *`,
+      [userId, courseId, now, course.duration, score]
+    );
+
+    certificate = await issueCertificate(client, historyResult.rows[0], course);
+    skillChanges = await applySkillGrowth(client, userId, course);
+  }
+
+  await refreshUserStats(client, userId);
+
+  const events = completedModules.map(moduleIndex => ({ type: 'module_completed', course, moduleIndex }));
+  if (progress === 100) {
+    events.push({ type: 'course_completed', course });
+  }
+  const achievements = await recordLearningActivity(client, userId, events, { at: now });
+
+  return { ...result.rows[0], skill_changes: skillChanges, certificate, achievements };
+});
+
+/**
+ * Recalculate and store a course's progress from its completed modules,
+ * after something other than a module changed, such as an assessment attempt
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {Object} course - Course row
+ * @returns {Promise<Object>} The updated user_course_progress row, as
+ *   saveCourseProgress returns it
+ */
+const refreshCourseProgress = (db, userId, course) => withTransaction(db, async (client) => {
+  await lockCourseProgress(client, userId, course.id);
+
+  const moduleProgress = await getModuleProgress(client, userId, course);
+  return saveCourseProgress(client, userId, course, moduleProgress.progress, { started: true });
+});
+
+/**
+ * Mark a single module as started or completed and recalculate the
+ * course progress from the completed modules
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {Object} course - Course row
+ * @param {number} moduleIndex - Zero-based index into course.modules
+ * @param {string} status - 'in_progress' or 'completed'
+ * @returns {Promise<Object>} The course progress row and module breakdown
+ */
+const setModuleStatus = (db, userId, course, moduleIndex, status) => withTransaction(db, async (client) => {
+  const now = new Date();
+  await lockCourseProgress(client, userId, course.id);
+
+  // A completed module is never moved back to in progress by a later start
+  await client.query(
+    `INSERT INTO user_module_progress
+     (user_id, course_id, module_index, status, started_at, completed_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, course_id, module_index) DO UPDATE
+     SET status = CASE
+           WHEN user_module_progress.status = 'completed' THEN 'completed'
+           ELSE EXCLUDED.status
+         END,
+         completed_at = COALESCE(user_module_progress.completed_at, EXCLUDED.completed_at)`,
+    [userId, course.id, moduleIndex, status, now, status === 'completed' ? now : null]
+  );
+
+  const moduleProgress = await getModuleProgress(client, userId, course);
+  const courseProgress = await saveCourseProgress(client, userId, course, moduleProgress.progress, {
+    started: true,
+    completedModules: status === 'completed' ? [moduleIndex] : []
+  });
+
+  return { ...courseProgress, resume_module: moduleProgress.resume_module, modules: moduleProgress.modules };
+});
+
+/**
+ * Apply a legacy percentage update by completing the leading modules that
+ * fit within it and clearing any later ones. The stored progress is rounded
+ * down to whole modules and stops at the first module whose assessment has
+ * not been passed.
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {Object} course - Course row
+ * @param {number} progress - Requested progress percentage (0-100)
+ * @returns {Promise<Object>} The updated user_course_progress row
+ */
+const setProgressByPercentage = (db, userId, course, progress) => withTransaction(db, async (client) => {
+  await lockCourseProgress(client, userId, course.id);
+
+  const total = totalModuleMinutes(course.modules);
+  const { blockedModules } = await getAssessmentStatus(client, userId, course.id);
+  const now = new Date();
+
+  let elapsed = 0;
+  let completedCount = 0;
+  for (const [index, module] of course.modules.entries()) {
+    elapsed += Number(module.duration) || 0;
+    if (progress < 100 && elapsed * 100 > progress * total) break;
+    if (blockedModules.has(index)) break;
+    completedCount++;
+  }
+
+  await client.query(
+    `DELETE FROM user_module_progress
+     WHERE user_id = $1 AND course_id = $2 AND module_index >= $3`,
+    [userId, course.id, completedCount]
+  );
+
+  for (let index = 0; index < completedCount; index++) {
+    await client.query(
+      `INSERT INTO user_module_progress
+       (user_id, course_id, module_index, status, started_at, completed_at)
+       VALUES ($1, $2, $3, 'completed', $4, $4)
+       ON CONFLICT (user_id, course_id, module_index) DO UPDATE
+       SET status = 'completed',
+           completed_at = COALESCE(user_module_progress.completed_at, EXCLUDED.completed_at)`,
+      [userId, course.id, index, now]
+    );
+  }
+
+  const completedIndexes = course.modules.map((module, index) => index).slice(0, completedCount);
+  return saveCourseProgress(client, userId, course, progressFromModules(course.modules, completedIndexes), {
+    completedModules: completedIndexes
+  });
+});
+
+module.exports = {
+  totalModuleMinutes,
+  progressFromModules,
+  getModuleProgress,
+  saveCourseProgress,
+  refreshCourseProgress,
+  setModuleStatus,
+  setProgressByPercentage
+};
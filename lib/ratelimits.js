@@ -0,0 +1,225 @@
+// Rate limits for login and other account endpoints
+//
+// Every request to a limited endpoint is recorded in auth_attempts, which
+// doubles as the audit trail of failed logins. A request starts out pending
+// and is marked a success, failure or error once its response is sent, or
+// blocked when it is turned away. Limits are sliding windows over those
+// rows, one per client IP and optionally one per username or email. Login
+// failures against a username lock it out instead, for a time that doubles
+// with each further failure, until it logs in successfully. Attempts are
+// kept for AUTH_ATTEMPT_RETENTION_DAYS, then deleted by cleanup.js.
+
+// Limits for each action. ip and identifier are { max, windowMinutes }; the
+// identifier is read from the request body field named by field, and when
+// lockout is set ({ baseMinutes, maxMinutes }) reaching max locks it out for
+// baseMinutes, doubling with each failure after that up to maxMinutes.
+// countSuccesses makes successful requests count towards the limits too, for
+// endpoints where every request costs something (an email, a bcrypt hash).
+const RATE_LIMITS = {
+  login: {
+    countSuccesses: false,
+    ip: { max: 20, windowMinutes: 15 },
+    identifier: {
+      field: 'username',
+      max: 5,
+      windowMinutes: 24 * 60,
+      lockout: { baseMinutes: 1, maxMinutes: 60 }
+    }
+  },
+  register: {
+    countSuccesses: true,
+    ip: { max: 20, windowMinutes: 60 }
+  },
+  password_forgot: {
+    countSuccesses: true,
+    ip: { max: 10, windowMinutes: 60 },
+    identifier: { field: 'email', max: 3, windowMinutes: 60 }
+  },
+  password_reset: {
+    countSuccesses: false,
+    ip: { max: 10, windowMinutes: 15 }
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Well past the longest window, so deleting older attempts never changes a
+// limit, while failed logins stay in the audit trail for a while
+const AUTH_ATTEMPT_RETENTION_DAYS = 90;
+
+/**
+ * Outcomes that count towards an action's limits; pending attempts count
+ * so that a burst of parallel requests cannot slip past a limit
+ * @param {Object} limits - Entry of RATE_LIMITS
+ * @returns {string} SQL list of outcomes
+ */
+const countedOutcomes = (limits) => (
+  limits.countSuccesses ? "('pending', 'failure', 'success')" : "('pending', 'failure')"
+);
+
+/**
+ * Normalize the username or email an attempt is made against
+ * @param {any} value - Value from the request body
+ * @returns {string|null} Trimmed lowercase value, or null when missing
+ */
+const normalizeIdentifier = (value) => (
+  typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null
+);
+
+/**
+ * Work out how long a sliding window limit has left to run
+ * @param {Object} db - pg Pool or client
+ * @param {string} action - Key of RATE_LIMITS
+ * @param {number} attemptId - The current attempt, which is not counted
+ * @param {string} column - ip_address or identifier
+ * @param {string} value - The client's IP address or identifier
+ * @param {Object} limit - { max, windowMinutes }
+ * @param {Date} since - Start of the window
+ * @param {Date} now - The current time
+ * @returns {Promise<number>} Milliseconds until another attempt is allowed,
+ *   0 when one is allowed now
+ */
+const getWindowWait = async (db, action, attemptId, column, value, limit, since, now) => {
+  const result = await db.query(
+    `SELECT created_at FROM auth_attempts
+     WHERE action = $1 AND ${column} = $2 AND id <> $3 AND created_at > $4
+       AND outcome IN ${countedOutcomes(RATE_LIMITS[action])}
+     ORDER BY created_at DESC
+     LIMIT $5`,
+    [action, value, attemptId, since, limit.max]
+  );
+
+  if (result.rows.length < limit.max) return 0;
+
+  // Another attempt is allowed once the oldest of the last max drops out
+  const oldest = new Date(result.rows[limit.max - 1].created_at);
+  return Math.max(0, oldest.getTime() + limit.windowMinutes * MINUTE_MS - now.getTime());
+};
+
+/**
+ * Work out how long an identifier stays locked out after repeated failures
+ * @param {Object} db - pg Pool or client
+ * @param {string} action - Key of RATE_LIMITS
+ * @param {number} attemptId - The current attempt, which is not counted
+ * @param {string} identifier - Normalized username or email
+ * @param {Object} limit - { max, windowMinutes, lockout }
+ * @param {Date} since - Start of the window
+ * @param {Date} now - The current time
+ * @returns {Promise<number>} Milliseconds until the lockout ends, 0 when the
+ *   identifier is not locked out
+ */
+const getLockoutWait = async (db, action, attemptId, identifier, limit, since, now) => {
+  const result = await db.query(
+    `SELECT COUNT(*)::int as failures, MAX(created_at) as last_failed_at
+     FROM auth_attempts
+     WHERE action = $1 AND identifier = $2 AND id <> $3 AND created_at > $4
+       AND outcome IN ${countedOutcomes(RATE_LIMITS[action])}`,
+    [action, identifier, attemptId, since]
+  );
+
+  const { failures, last_failed_at: lastFailedAt } = result.rows[0];
+  if (failures < limit.max) return 0;
+
+  const lockoutMinutes = Math.min(
+    limit.lockout.baseMinutes * 2 ** (failures - limit.max),
+    limit.lockout.maxMinutes
+  );
+  return Math.max(0, new Date(lastFailedAt).getTime() + lockoutMinutes * MINUTE_MS - now.getTime());
+};
+
+/**
+ * Record an attempt at a limited action and check it against the limits
+ * @param {Object} db - pg Pool or client
+ * @param {string} action - Key of RATE_LIMITS
+ * @param {Object} request
+ * @param {string} request.ip - The client's IP address
+ * @param {Object} [request.body] - Request body, read for the identifier
+ * @param {string} [request.userAgent] - The client's User-Agent
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {Promise<Object>} { attemptId, retryAfter } where retryAfter is
+ *   the number of seconds to wait when the attempt was blocked, otherwise
+ *   null; a blocked attempt is already recorded as such
+ */
+const beginAttempt = async (db, action, { ip, body = {}, userAgent = null }, now = new Date()) => {
+  const limits = RATE_LIMITS[action];
+  const identifier = limits.identifier ? normalizeIdentifier(body[limits.identifier.field]) : null;
+
+  // Recorded before checking, so concurrent attempts see each other
+  const insertResult = await db.query(
+    `INSERT INTO auth_attempts (action, ip_address, identifier, user_agent, outcome, created_at)
+     VALUES ($1, $2, $3, $4, 'pending', $5)
+     RETURNING id`,
+    [action, ip, identifier, userAgent, now]
+  );
+  const attemptId = insertResult.rows[0].id;
+
+  let wait = await getWindowWait(
+    db, action, attemptId, 'ip_address', ip, limits.ip,
+    new Date(now.getTime() - limits.ip.windowMinutes * MINUTE_MS), now
+  );
+
+  if (identifier) {
+    const limit = limits.identifier;
+    let since = new Date(now.getTime() - limit.windowMinutes * MINUTE_MS);
+
+    // Logging in successfully clears earlier failures against the username
+    if (!limits.countSuccesses) {
+      const successResult = await db.query(
+        `SELECT MAX(created_at) as succeeded_at FROM auth_attempts
+         WHERE action = $1 AND identifier = $2 AND outcome = 'success'`,
+        [action, identifier]
+      );
+      const succeededAt = successResult.rows[0].succeeded_at;
+      if (succeededAt && new Date(succeededAt) > since) since = new Date(succeededAt);
+    }
+
+    const identifierWait = limit.lockout
+      ? await getLockoutWait(db, action, attemptId, identifier, limit, since, now)
+      : await getWindowWait(db, action, attemptId, 'identifier', identifier, limit, since, now);
+    wait = Math.max(wait, identifierWait);
+  }
+
+  if (wait === 0) return { attemptId, retryAfter: null };
+
+  await db.query("UPDATE auth_attempts SET outcome = 'blocked' WHERE id = $1", [attemptId]);
+  return { attemptId, retryAfter: Math.ceil(wait / 1000) };
+};
+
+/**
+ * Record how an allowed attempt turned out
+ * @param {Object} db - pg Pool or client
+ * @param {number} attemptId - ID from beginAttempt
+ * @param {number} statusCode - HTTP status of the response; below 400 is a
+ *   success, 500 and above an error that does not count against the client,
+ *   anything else a failure
+ * @returns {Promise<void>}
+ */
+const finishAttempt = async (db, attemptId, statusCode) => {
+  let outcome = 'failure';
+  if (statusCode < 400) outcome = 'success';
+  else if (statusCode >= 500) outcome = 'error';
+
+  await db.query('UPDATE auth_attempts SET outcome = $1 WHERE id = $2', [outcome, attemptId]);
+};
+
+/**
+ * Delete attempts older than AUTH_ATTEMPT_RETENTION_DAYS
+ * @param {Object} db - pg Pool or client
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {Promise<number>} Number of attempts deleted
+ */
+const deleteExpiredAttempts = async (db, now = new Date()) => {
+  const result = await db.query(
+    'DELETE FROM auth_attempts WHERE created_at < $1',
+    [new Date(now.getTime() - AUTH_ATTEMPT_RETENTION_DAYS * 24 * 60 * MINUTE_MS)]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  RATE_LIMITS,
+  AUTH_ATTEMPT_RETENTION_DAYS,
+  beginAttempt,
+  finishAttempt,
+  deleteExpiredAttempts
+};
@@ -0,0 +1,150 @@
+// Relevance scoring for course recommendations
+//
+// Ranks courses for a user along the lines of query #1 in queries.sql:
+// job title match first, then skill gaps, with courses already in progress
+// sitting below fresh recommendations and newer courses breaking ties.
+
+// Points available for each factor of the relevance score
+const RELEVANCE_WEIGHTS = {
+  role: 30,        // course is recommended for the user's job title
+  allRoles: 10,    // course is recommended for 'All Roles'
+  skillGap: 40,    // course targets one of the user's low-scoring skills
+  inProgress: -10, // already started, keep below new recommendations
+  recency: 10      // newly added courses get a small boost
+};
+
+// Skills below this level count as a gap (same threshold as query #1)
+const SKILL_GAP_THRESHOLD = 70;
+
+// Courses older than this no longer get a recency boost
+const RECENCY_WINDOW_DAYS = 180;
+
+/**
+ * Normalize a skill label or category to a users.skills key
+ * @param {string} label - e.g. 'Data Analysis'
+ * @returns {string} e.g. 'data_analysis'
+ */
+const toSkillKey = (label) => String(label)
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+/**
+ * Turn a users.skills key back into a display label
+ * @param {string} key - e.g. 'data_analysis'
+ * @returns {string} e.g. 'Data Analysis'
+ */
+const skillLabel = (key) => key
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+/**
+ * Get the users.skills keys a course develops, based on its category
+ * and recommended_skills
+ * @param {Object} course - Course row
+ * @param {Array<string>} skillKeys - Known skill keys (from users.skills)
+ * @returns {Array<string>} Matching skill keys, without duplicates
+ */
+const courseSkillKeys = (course, skillKeys) => {
+  const candidates = [course.category, ...(course.recommended_skills || [])].map(toSkillKey);
+  return [...new Set(candidates)].filter(key => skillKeys.includes(key));
+};
+
+/**
+ * Score a single course for a user
+ * @param {Object} course - Course row including progress and status
+ * @param {Object} user - User row with job_title and skills
+ * @param {Date} [now] - Reference time for the recency factor
+ * @returns {{score: number, breakdown: Object, reason: string}}
+ */
+const scoreCourse = (course, user, now = new Date()) => {
+  const breakdown = { role: 0, skillGap: 0, inProgress: 0, recency: 0 };
+  const reasons = [];
+
+  // Job title match; recommended_roles lists job titles, not users.role
+  const roles = (course.recommended_roles || []).map(role => role.toLowerCase());
+  const jobTitle = (user.job_title || '').trim();
+  if (jobTitle && roles.includes(jobTitle.toLowerCase())) {
+    breakdown.role = RELEVANCE_WEIGHTS.role;
+    reasons.push(`Recommended for your role (${jobTitle})`);
+  } else if (roles.includes('all roles')) {
+    breakdown.role = RELEVANCE_WEIGHTS.allRoles;
+    reasons.push('Suitable for all roles');
+  }
+
+  // Skill gaps, scored by the largest gap the course addresses
+  const skills = user.skills || {};
+  const gaps = courseSkillKeys(course, Object.keys(skills))
+    .filter(key => Number(skills[key]) < SKILL_GAP_THRESHOLD)
+    .sort((a, b) => skills[a] - skills[b]);
+  if (gaps.length > 0) {
+    const largestGap = (SKILL_GAP_THRESHOLD - skills[gaps[0]]) / SKILL_GAP_THRESHOLD;
+    breakdown.skillGap = Math.round(RELEVANCE_WEIGHTS.skillGap * largestGap);
+    reasons.push(`Builds your ${gaps.map(skillLabel).join(' and ')} skills (currently ${skills[gaps[0]]}%)`);
+  }
+
+  // Courses already in progress
+  if (course.status === 'in_progress') {
+    breakdown.inProgress = RELEVANCE_WEIGHTS.inProgress;
+    reasons.push(`You are ${course.progress}% through this course`);
+  }
+
+  // Recency
+  if (course.created_at) {
+    const ageDays = (now - new Date(course.created_at)) / (1000 * 60 * 60 * 24);
+    const freshness = Math.max(0, 1 - ageDays / RECENCY_WINDOW_DAYS);
+    breakdown.recency = Math.round(RELEVANCE_WEIGHTS.recency * freshness);
+    if (breakdown.recency > RELEVANCE_WEIGHTS.recency / 2) {
+      reasons.push('Recently added to the catalog');
+    }
+  }
+
+  const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+  const reason = reasons.length > 0 ? reasons.join('. ') : 'Available in the course catalog';
+
+  return { score, breakdown, reason };
+};
+
+/**
+ * Attach relevance scores to courses and optionally sort by them
+ * @param {Array<Object>} courses - Course rows including progress and status
+ * @param {Object} user - User row with job_title and skills
+ * @param {Object} [options]
+ * @param {boolean} [options.sort=true] - Sort by score (highest first)
+ * @returns {Array<Object>} Courses with relevance_score, score_breakdown and
+ *   recommendation_reason fields
+ */
+const rankCourses = (courses, user, { sort = true } = {}) => {
+  const now = new Date();
+  const scored = courses.map(course => {
+    const { score, breakdown, reason } = scoreCourse(course, user, now);
+    return {
+      ...course,
+      relevance_score: score,
+      score_breakdown: breakdown,
+      recommendation_reason: reason
+    };
+  });
+
+  if (sort) {
+    scored.sort((a, b) =>
+      b.relevance_score - a.relevance_score ||
+      new Date(b.created_at) - new Date(a.created_at) ||
+      a.title.localeCompare(b.title)
+    );
+  }
+
+  return scored;
+};
+
+module.exports = {
+  RELEVANCE_WEIGHTS,
+  SKILL_GAP_THRESHOLD,
+  toSkillKey,
+  skillLabel,
+  courseSkillKeys,
+  scoreCourse,
+  rankCourses
+};
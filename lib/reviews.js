@@ -0,0 +1,226 @@
+// Course reviews
+//
+// Learners who have completed a course can leave one 1-5 rating with a
+// written review. A review covers the course across its versions, so it is
+// stored against the first version (the lineage ID). courses.rating and
+// courses.review_count hold the average and count of the published reviews
+// on every version of the course, and are recalculated in the same
+// transaction as each change to a review.
+
+const { withTransaction } = require('./db');
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const MAX_REVIEW_LENGTH = 2000;
+
+// Moderation states; hidden reviews are left out of the rating
+const REVIEW_STATUSES = ['published', 'hidden'];
+
+/**
+ * Validate a review from the API
+ * @param {Object} input - rating and body
+ * @returns {{review: Object|null, errors: Object}} The review ready to store,
+ *   or errors keyed by field
+ */
+const validateReview = (input) => {
+  const errors = {};
+
+  if (!Number.isInteger(input.rating) || input.rating < MIN_RATING || input.rating > MAX_RATING) {
+    errors.rating = `rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`;
+  }
+
+  if (typeof input.body !== 'string' || !input.body.trim()) {
+    errors.body = 'body is required';
+  } else if (input.body.trim().length > MAX_REVIEW_LENGTH) {
+    errors.body = `body must be at most ${MAX_REVIEW_LENGTH} characters`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { review: null, errors };
+  }
+
+  return { review: { rating: input.rating, body: input.body.trim() }, errors };
+};
+
+/**
+ * Check whether a user has completed any version of a course
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {number} lineageId - ID of the course's first version
+ * @returns {Promise<boolean>}
+ */
+const hasCompletedCourse = async (db, userId, lineageId) => {
+  const result = await db.query(
+    `SELECT ucp.id
+     FROM user_course_progress ucp
+     JOIN courses c ON ucp.course_id = c.id
+     WHERE ucp.user_id = $1 AND COALESCE(c.lineage_id, c.id) = $2 AND ucp.status = 'completed'
+     LIMIT 1`,
+    [userId, lineageId]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Lock every version of a course so changes to its reviews, and the
+ * aggregates recalculated from them, are applied one at a time
+ * @param {Object} client - Client inside a transaction
+ * @param {number} lineageId - ID of the course's first version
+ */
+const lockCourse = (client, lineageId) => client.query(
+  'SELECT id FROM courses WHERE COALESCE(lineage_id, id) = $1 FOR UPDATE',
+  [lineageId]
+);
+
+/**
+ * Recalculate courses.rating and courses.review_count from the published
+ * reviews; call with the course locked by lockCourse
+ * @param {Object} client - Client inside a transaction
+ * @param {number} lineageId - ID of the course's first version
+ * @returns {Promise<Object>} { rating, review_count }
+ */
+const refreshCourseRating = async (client, lineageId) => {
+  const result = await client.query(
+    `SELECT COUNT(*)::int as review_count, COALESCE(AVG(rating), 0)::real as rating
+     FROM course_reviews
+     WHERE course_id = $1 AND status = 'published'`,
+    [lineageId]
+  );
+
+  const { rating, review_count } = result.rows[0];
+
+  await client.query(
+    'UPDATE courses SET rating = $1, review_count = $2 WHERE COALESCE(lineage_id, id) = $3',
+    [rating, review_count, lineageId]
+  );
+
+  return { rating, review_count };
+};
+
+/**
+ * Create a user's review of a course, or replace their earlier one. An
+ * edited review keeps its moderation status.
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The reviewer's ID
+ * @param {number} lineageId - ID of the course's first version
+ * @param {Object} review - Review from validateReview
+ * @returns {Promise<Object>} { review, created, rating, review_count }
+ */
+const saveReview = (db, userId, lineageId, review) => withTransaction(db, async (client) => {
+  await lockCourse(client, lineageId);
+
+  const existing = await client.query(
+    'SELECT id FROM course_reviews WHERE course_id = $1 AND user_id = $2',
+    [lineageId, userId]
+  );
+
+  const result = existing.rows.length > 0
+    ? await client.query(
+      `UPDATE course_reviews SET rating = $1, body = $2, updated_at = $3
+       WHERE id = $4
+       RETURNING *`,
+      [review.rating, review.body, new Date(), existing.rows[0].id]
+    )
+    : await client.query(
+      `INSERT INTO course_reviews (course_id, user_id, rating, body)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [lineageId, userId, review.rating, review.body]
+    );
+
+  const aggregates = await refreshCourseRating(client, lineageId);
+
+  return { review: result.rows[0], created: existing.rows.length === 0, ...aggregates };
+});
+
+/**
+ * List the published reviews of a course, newest first
+ * @param {Object} db - pg Pool or client
+ * @param {number} lineageId - ID of the course's first version
+ * @param {number} limit - Maximum number of reviews
+ * @returns {Promise<Array<Object>>} Reviews with reviewer_name
+ */
+const listCourseReviews = async (db, lineageId, limit) => {
+  const result = await db.query(
+    `SELECT r.id, r.course_id, r.rating, r.body, r.created_at, r.updated_at, u.name as reviewer_name
+     FROM course_reviews r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.course_id = $1 AND r.status = 'published'
+     ORDER BY r.created_at DESC, r.id DESC
+     LIMIT $2`,
+    [lineageId, limit]
+  );
+
+  return result.rows;
+};
+
+/**
+ * List reviews for moderation, newest first
+ * @param {Object} db - pg Pool or client
+ * @param {string|null} status - Only reviews in this state, or all when null
+ * @returns {Promise<Array<Object>>} Reviews with course_title, reviewer_name
+ *   and reviewer_email
+ */
+const listReviewsForModeration = async (db, status) => {
+  const params = [];
+  let where = '';
+  if (status) {
+    params.push(status);
+    where = 'WHERE r.status = $1';
+  }
+
+  const result = await db.query(
+    `SELECT r.*, c.title as course_title, u.name as reviewer_name, u.email as reviewer_email
+     FROM course_reviews r
+     JOIN courses c ON r.course_id = c.id
+     JOIN users u ON r.user_id = u.id
+     ${where}
+     ORDER BY r.created_at DESC, r.id DESC`,
+    params
+  );
+
+  return result.rows;
+};
+
+/**
+ * Publish or hide a review and recalculate its course's rating
+ * @param {Object} db - pg Pool or client
+ * @param {number} reviewId - The review's ID
+ * @param {string} status - One of REVIEW_STATUSES
+ * @param {number} moderatorId - ID of the admin moderating it
+ * @returns {Promise<Object|null>} { review, rating, review_count }, or null
+ *   when the review does not exist
+ */
+const moderateReview = (db, reviewId, status, moderatorId) => withTransaction(db, async (client) => {
+  const existing = await client.query(
+    'SELECT course_id FROM course_reviews WHERE id = $1',
+    [reviewId]
+  );
+
+  if (existing.rows.length === 0) return null;
+
+  const lineageId = existing.rows[0].course_id;
+  await lockCourse(client, lineageId);
+
+  const result = await client.query(
+    `UPDATE course_reviews SET status = $1, moderated_by = $2, moderated_at = $3
+     WHERE id = $4
+     RETURNING *`,
+    [status, moderatorId, new Date(), reviewId]
+  );
+
+  const aggregates = await refreshCourseRating(client, lineageId);
+
+  return { review: result.rows[0], ...aggregates };
+});
+
+module.exports = {
+  REVIEW_STATUSES,
+  validateReview,
+  hasCompletedCourse,
+  saveReview,
+  listCourseReviews,
+  listReviewsForModeration,
+  moderateReview
+};
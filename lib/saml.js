@@ -0,0 +1,123 @@
+// SAML 2.0 login
+//
+// The app is a service provider using the HTTP-Redirect binding to send
+// AuthnRequests and the HTTP-POST binding to receive responses at the
+// assertion consumer service (the callback). @node-saml/node-saml builds the
+// requests and checks response signatures, audience and validity times; the
+// RelayState and request ID it is given are recorded in sso_logins, so only
+// a response to a request this app made, used once, logs anyone in.
+
+const crypto = require('crypto');
+const { SAML } = require('@node-saml/node-saml');
+const { startSsoLogin, consumeSsoLogin } = require('./sso');
+
+// Attributes read for the user's details, in order of preference
+const EMAIL_ATTRIBUTES = ['email', 'mail', 'urn:oid:0.9.2342.19200300.100.1.3'];
+const NAME_ATTRIBUTES = ['displayName', 'name', 'urn:oid:2.16.840.1.113730.3.1.241'];
+const USERNAME_ATTRIBUTES = ['username', 'uid', 'urn:oid:0.9.2342.19200300.100.1.1'];
+
+/**
+ * Create a node-saml client for the configured IdP
+ * @param {Object} config - saml from getSsoConfig
+ * @param {string} [requestId] - ID to give the next AuthnRequest
+ * @returns {SAML}
+ */
+const createClient = (config, requestId) => new SAML({
+  entryPoint: config.entryPoint,
+  idpCert: config.idpCert,
+  idpIssuer: config.idpIssuer || undefined,
+  issuer: config.issuer,
+  callbackUrl: config.callbackUrl,
+  audience: config.issuer,
+  wantAssertionsSigned: true,
+  wantAuthnResponseSigned: false,
+  // Request IDs are checked against sso_logins instead of node-saml's cache
+  validateInResponseTo: 'never',
+  generateUniqueId: () => requestId || `_${crypto.randomBytes(20).toString('hex')}`
+});
+
+/**
+ * Read the first present attribute of an assertion
+ * @param {Object} attributes - Attributes from the assertion
+ * @param {Array<string>} names - Attribute names, in order of preference
+ * @returns {string|null}
+ */
+const readAttribute = (attributes, names) => {
+  const name = names.find(candidate => attributes[candidate]);
+  if (!name) return null;
+
+  const value = attributes[name];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+/**
+ * Start a login: record it and build the IdP's login URL
+ * @param {Object} db - pg Pool or client
+ * @param {Object} config - saml from getSsoConfig
+ * @returns {Promise<string>} URL to send the browser to
+ */
+const getSamlLoginUrl = async (db, config) => {
+  const requestId = `_${crypto.randomBytes(20).toString('hex')}`;
+  const relayState = await startSsoLogin(db, 'saml', { requestId });
+
+  return createClient(config, requestId).getAuthorizeUrlAsync(relayState, undefined, {});
+};
+
+/**
+ * Finish a login at the assertion consumer service
+ * @param {Object} db - pg Pool or client
+ * @param {Object} config - saml from getSsoConfig
+ * @param {Object} body - The posted form: SAMLResponse and RelayState
+ * @returns {Promise<Object>} { loginId, identity } for provisionSsoUser, or
+ *   { error } with a message for the user
+ */
+const completeSamlLogin = async (db, config, body) => {
+  const login = await consumeSsoLogin(db, 'saml', body.RelayState);
+  if (!login) {
+    return { error: 'This login has expired or was already used, please try again' };
+  }
+
+  let profile;
+  try {
+    ({ profile } = await createClient(config).validatePostResponseAsync({ SAMLResponse: body.SAMLResponse }));
+  } catch (error) {
+    console.error('Invalid SAML response:', error.message);
+    profile = null;
+  }
+
+  // The response must answer the request this login sent
+  if (!profile || profile.inResponseTo !== login.request_id) {
+    return { error: 'The identity provider sent an invalid SAML response' };
+  }
+
+  const attributes = profile.attributes || {};
+  const nameIdIsEmail = profile.nameIDFormat === 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+
+  return {
+    loginId: login.id,
+    identity: {
+      protocol: 'saml',
+      issuer: profile.issuer,
+      subject: profile.nameID,
+      email: readAttribute(attributes, EMAIL_ATTRIBUTES) || (nameIdIsEmail ? profile.nameID : null),
+      // The IdP vouches for the addresses of its own accounts
+      emailVerified: true,
+      name: readAttribute(attributes, NAME_ATTRIBUTES),
+      username: readAttribute(attributes, USERNAME_ATTRIBUTES),
+      groups: attributes[config.groupsAttribute]
+    }
+  };
+};
+
+/**
+ * Describe the app as a service provider, for registering it with the IdP
+ * @param {Object} config - saml from getSsoConfig
+ * @returns {string} SAML metadata XML
+ */
+const getSamlMetadata = (config) => createClient(config).generateServiceProviderMetadata(null);
+
+module.exports = {
+  getSamlLoginUrl,
+  completeSamlLogin,
+  getSamlMetadata
+};
@@ -0,0 +1,342 @@
+// Sample data for development and demos
+//
+// Three users (alex, a manager; admin; and sam, who reports to alex), four
+// courses with assessments, progress, certificates, a review, a group with
+// assignments and two learning paths. The rows refer to each other by ID,
+// so they can only be added to a database with no users or courses yet.
+// Never seed a production database: the users have well-known passwords.
+
+const bcrypt = require('bcrypt');
+const { withTransaction } = require('./db');
+const { issueCertificate } = require('./certificates');
+const { saveReview } = require('./reviews');
+const { setPrerequisites, createPath } = require('./paths');
+const { recordLearningActivity } = require('./achievements');
+const { reconcileUserStats } = require('./stats');
+
+/**
+ * Add the sample data, all or nothing
+ * @param {Object} db - pg Pool
+ * @returns {Promise<void>}
+ * @throws {Error} When the database already has users or courses
+ */
+const seedDatabase = (db) => withTransaction(db, async (client) => {
+  const existing = await client.query(
+    'SELECT (SELECT COUNT(*) FROM users)::int as users, (SELECT COUNT(*) FROM courses)::int as courses'
+  );
+  if (existing.rows[0].users > 0 || existing.rows[0].courses > 0) {
+    throw new Error('The database already has users or courses; sample data can only be added to an empty one');
+  }
+
+  // Add a default user
+  const hashedPassword = await bcrypt.hash('password123', 10);
+  await client.query(
+    `INSERT INTO users (username, password, name, email, role, job_title, skills) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      'alex', 
+      hashedPassword, 
+      'Alex Morgan', 
+      'alex@example.com', 
+      'manager',
+      'Team Lead',
+      JSON.stringify({
+        leadership: 75,
+        data_analysis: 45,
+        project_management: 60,
+        communication: 80,
+        technical: 50
+      })
+    ]
+  );
+
+  // Add an admin for course authoring
+  await client.query(
+    `INSERT INTO users (username, password, name, email, role, job_title, skills) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      'admin', 
+      await bcrypt.hash('admin123', 10), 
+      'Jordan Lee', 
+      'admin@example.com', 
+      'admin',
+      'Director',
+      JSON.stringify({
+        leadership: 60,
+        data_analysis: 55,
+        project_management: 70,
+        communication: 65,
+        technical: 75
+      })
+    ]
+  );
+
+  // Add a learner who reports to Alex
+  await client.query(
+    `INSERT INTO users (username, password, name, email, role, job_title, manager_id, skills) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      'sam', 
+      await bcrypt.hash('password123', 10), 
+      'Sam Patel', 
+      'sam@example.com', 
+      'learner',
+      'Analyst',
+      1,
+      JSON.stringify({
+        leadership: 40,
+        data_analysis: 65,
+        project_management: 35,
+        communication: 55,
+        technical: 70
+      })
+    ]
+  );
+
+  // Add sample courses
+  const sampleCourses = [
+    {
+      title: 'Data Analysis Fundamentals',
+      description: 'Learn the essential skills of data analysis, including statistical methods and visualization techniques.',
+      instructor: 'Dr. Sarah Johnson',
+      category: 'Data Analysis',
+      duration: 120,
+      image_path: '/images/courses/data-analysis.jpg',
+      modules: JSON.stringify([
+        { title: 'Introduction to Data Analysis', duration: 20 },
+        { title: 'Statistical Methods', duration: 40 },
+        { title: 'Data Visualization', duration: 30 },
+        { title: 'Analysis Tools and Software', duration: 30 }
+      ]),
+      learning_outcomes: JSON.stringify(['Statistical analysis', 'Data visualization', 'Critical thinking']),
+      recommended_roles: JSON.stringify(['Analyst', 'Manager', 'Data Scientist']),
+      recommended_skills: JSON.stringify(['Excel', 'Statistics', 'Critical Thinking'])
+    },
+    {
+      title: 'Leadership Essentials',
+      description: 'Develop key leadership skills needed to inspire and guide teams to success.',
+      instructor: 'Michael Chen',
+      category: 'Leadership',
+      duration: 180,
+      image_path: '/images/courses/leadership.jpg',
+      modules: JSON.stringify([
+        { title: 'Understanding Leadership Styles', duration: 45 },
+        { title: 'Effective Communication', duration: 45 },
+        { title: 'Team Building', duration: 45 },
+        { title: 'Conflict Resolution', duration: 45 }
+      ]),
+      learning_outcomes: JSON.stringify(['Team management', 'Effective communication', 'Conflict resolution']),
+      recommended_roles: JSON.stringify(['Manager', 'Team Lead', 'Director']),
+      recommended_skills: JSON.stringify(['Communication', 'Empathy', 'Decision Making'])
+    },
+    {
+      title: 'Project Management Fundamentals',
+      description: 'Learn the core principles of project management including planning, execution, and closure.',
+      instructor: 'Jessica Alvarez',
+      category: 'Project Management',
+      duration: 150,
+      image_path: '/images/courses/project-management.jpg',
+      modules: JSON.stringify([
+        { title: 'Project Initiation', duration: 30 },
+        { title: 'Project Planning', duration: 40 },
+        { title: 'Project Execution', duration: 40 },
+        { title: 'Project Monitoring', duration: 20 },
+        { title: 'Project Closure', duration: 20 }
+      ]),
+      learning_outcomes: JSON.stringify(['Project planning', 'Risk management', 'Resource allocation']),
+      recommended_roles: JSON.stringify(['Project Manager', 'Team Lead', 'Product Owner']),
+      recommended_skills: JSON.stringify(['Organization', 'Time Management', 'Leadership'])
+    },
+    {
+      title: 'Communication Skills for Professionals',
+      description: 'Enhance your ability to communicate effectively in any professional environment.',
+      instructor: 'Dr. Robert Martinez',
+      category: 'Communication',
+      duration: 90,
+      image_path: '/images/courses/communication.jpg',
+      modules: JSON.stringify([
+        { title: 'Verbal Communication', duration: 30 },
+        { title: 'Non-verbal Communication', duration: 20 },
+        { title: 'Written Communication', duration: 20 },
+        { title: 'Active Listening', duration: 20 }
+      ]),
+      learning_outcomes: JSON.stringify(['Clear articulation', 'Active listening', 'Persuasive writing']),
+      recommended_roles: JSON.stringify(['All Roles']),
+      recommended_skills: JSON.stringify(['Presentation', 'Writing', 'Listening'])
+    }
+  ];
+
+  for (const course of sampleCourses) {
+    await client.query(
+      `INSERT INTO courses (
+        title, description, instructor, category, duration, image_path, 
+        modules, learning_outcomes, recommended_roles, recommended_skills
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        course.title, course.description, course.instructor, course.category, 
+        course.duration, course.image_path, course.modules, course.learning_outcomes,
+        course.recommended_roles, course.recommended_skills
+      ]
+    );
+  }
+
+  // Add sample assessments
+  await client.query(
+    `INSERT INTO assessments (course_id, module_index, title, questions, pass_threshold)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      2,
+      3,
+      'Conflict Resolution Check',
+      JSON.stringify([
+        {
+          prompt: 'What is usually the best first step when two team members disagree?',
+          options: ['Decide for them', 'Listen to both perspectives', 'Escalate to HR', 'Ignore it'],
+          answer: 1
+        },
+        {
+          prompt: 'Which outcome does a collaborative approach aim for?',
+          options: ['Win-lose', 'Lose-lose', 'Win-win', 'Avoidance'],
+          answer: 2
+        }
+      ]),
+      70
+    ]
+  );
+
+  await client.query(
+    `INSERT INTO assessments (course_id, module_index, title, questions, pass_threshold)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      1,
+      null,
+      'Data Analysis Final Assessment',
+      JSON.stringify([
+        {
+          prompt: 'Which measure of central tendency is least affected by outliers?',
+          options: ['Mean', 'Median', 'Range', 'Variance'],
+          answer: 1
+        },
+        {
+          prompt: 'Which chart is best suited to showing a trend over time?',
+          options: ['Pie chart', 'Line chart', 'Scatter plot', 'Histogram'],
+          answer: 1
+        },
+        {
+          prompt: 'A correlation coefficient of -0.9 indicates:',
+          options: ['No relationship', 'A weak positive relationship', 'A strong negative relationship', 'Causation'],
+          answer: 2,
+          points: 2
+        }
+      ]),
+      80
+    ]
+  );
+
+  // Add sample progress and history
+  await client.query(
+    `INSERT INTO user_course_progress 
+     (user_id, course_id, progress, status, last_accessed_at) 
+     VALUES (1, 2, 50, 'in_progress', NOW())`
+  );
+
+  await client.query(
+    `INSERT INTO user_module_progress
+     (user_id, course_id, module_index, status, started_at, completed_at)
+     VALUES (1, 2, 0, 'completed', NOW(), NOW()), (1, 2, 1, 'completed', NOW(), NOW())`
+  );
+
+  const historyResult = await client.query(
+    `INSERT INTO training_history 
+     (user_id, course_id, completed_at, duration, score, certificate) 
+     VALUES (1, 4, NOW() - INTERVAL '3 months', 90, 95, true)
+     RETURNING *`
+  );
+
+  const courseResult = await client.query('SELECT * FROM courses WHERE id = 4');
+  await issueCertificate(client, historyResult.rows[0], courseResult.rows[0]);
+
+  // Sam has finished one course and let another stall
+  await client.query(
+    `INSERT INTO user_course_progress 
+     (user_id, course_id, progress, status, last_accessed_at, completed_at) 
+     VALUES (3, 1, 16, 'in_progress', NOW() - INTERVAL '45 days', NULL),
+            (3, 4, 100, 'completed', NOW() - INTERVAL '2 months', NOW() - INTERVAL '2 months')`
+  );
+
+  await client.query(
+    `INSERT INTO user_module_progress
+     (user_id, course_id, module_index, status, started_at, completed_at)
+     VALUES (3, 1, 0, 'completed', NOW() - INTERVAL '45 days', NOW() - INTERVAL '45 days'),
+            (3, 4, 0, 'completed', NOW() - INTERVAL '2 months', NOW() - INTERVAL '2 months'),
+            (3, 4, 1, 'completed', NOW() - INTERVAL '2 months', NOW() - INTERVAL '2 months'),
+            (3, 4, 2, 'completed', NOW() - INTERVAL '2 months', NOW() - INTERVAL '2 months'),
+            (3, 4, 3, 'completed', NOW() - INTERVAL '2 months', NOW() - INTERVAL '2 months')`
+  );
+
+  const samHistoryResult = await client.query(
+    `INSERT INTO training_history 
+     (user_id, course_id, completed_at, duration, score, certificate) 
+     VALUES (3, 4, NOW() - INTERVAL '2 months', 90, NULL, true)
+     RETURNING *`
+  );
+  await issueCertificate(client, samHistoryResult.rows[0], courseResult.rows[0]);
+
+  // Award the XP, streak days and badges the sample progress earned
+  const dayMs = 24 * 60 * 60 * 1000;
+  const moduleEvents = (course, indexes) => indexes.map(moduleIndex => ({ type: 'module_completed', course, moduleIndex }));
+  const leadershipResult = await client.query('SELECT * FROM courses WHERE id = 2');
+  const dataResult = await client.query('SELECT * FROM courses WHERE id = 1');
+
+  await recordLearningActivity(client, 1, moduleEvents(leadershipResult.rows[0], [0, 1]));
+  await recordLearningActivity(client, 3, [
+    ...moduleEvents(courseResult.rows[0], [0, 1, 2, 3]),
+    { type: 'course_completed', course: courseResult.rows[0] }
+  ], { at: new Date(Date.now() - 60 * dayMs) });
+  await recordLearningActivity(client, 3, moduleEvents(dataResult.rows[0], [0]), { at: new Date(Date.now() - 45 * dayMs) });
+
+  // Sam reviewed the course they completed
+  await saveReview(client, 3, 4, {
+    rating: 4,
+    body: 'Practical exercises that made presenting to the team much easier.'
+  });
+
+  // Alex assigned Sam the stalled course, and new starters share another
+  const groupResult = await client.query(
+    `INSERT INTO user_groups (name) VALUES ('New Starters') RETURNING id`
+  );
+
+  await client.query(
+    'INSERT INTO user_group_members (group_id, user_id) VALUES ($1, 3)',
+    [groupResult.rows[0].id]
+  );
+
+  await client.query(
+    `INSERT INTO assignments (course_id, user_id, group_id, due_at, assigned_by, created_at)
+     VALUES (1, 3, NULL, NOW() - INTERVAL '15 days', 1, NOW() - INTERVAL '60 days'),
+            (3, NULL, $1, NOW() + INTERVAL '30 days', 2, NOW())`,
+    [groupResult.rows[0].id]
+  );
+
+  // Leadership Essentials builds on Communication Skills for Professionals
+  await setPrerequisites(client, 2, [4]);
+
+  await createPath(client, {
+    title: 'New Manager Program',
+    description: 'Communicate clearly, lead a team and deliver projects, one course at a time.',
+    course_ids: [4, 2, 3]
+  });
+
+  await createPath(client, {
+    title: 'Data-Driven Projects',
+    description: 'Analyze data, then use it to plan and track projects.',
+    course_ids: [1, 3]
+  });
+
+  // Count up the progress and history added above
+  await reconcileUserStats(client);
+});
+
+module.exports = {
+  seedDatabase
+};
@@ -0,0 +1,233 @@
+// Sessions and tokens
+//
+// Logging in or registering starts a session (one per device) and issues
+// two tokens: a short-lived JWT access token sent with every request, and a
+// refresh token the client trades for a new access token when it expires.
+// Refresh tokens have the form <session id>.<secret>; only a SHA-256 hash of
+// the secret is stored in user_sessions, and it is replaced on every
+// refresh. Presenting a secret that has already been replaced means the
+// token was copied, so the session is revoked. Access tokens carry the
+// session ID and are checked against user_sessions on each request, so
+// logging out (of one device or all of them) takes effect straight away.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { withTransaction } = require('./db');
+
+// Only used outside production, where JWT_SECRET may be left unset
+const DEVELOPMENT_JWT_SECRET = 'trainsphere_secret_key';
+
+// How requests without an access token are treated (AUTH_MODE): 'required'
+// rejects them, except on the public read-only routes guests can browse;
+// 'demo' runs them as DEMO_USER_ID so the app can be tried without logging in
+const AUTH_MODES = ['required', 'demo'];
+const DEFAULT_AUTH_MODE = 'required';
+const DEMO_USER_ID = 1;
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the secret access tokens are signed with
+ * @returns {string} JWT_SECRET, or a development secret outside production
+ * @throws {Error} When NODE_ENV is production and JWT_SECRET is not set
+ */
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set when NODE_ENV is production');
+  }
+
+  return DEVELOPMENT_JWT_SECRET;
+};
+
+/**
+ * Get the configured auth mode
+ * @returns {string} One of AUTH_MODES
+ * @throws {Error} When AUTH_MODE is not a known mode, or is demo while
+ *   NODE_ENV is production
+ */
+const getAuthMode = () => {
+  const mode = process.env.AUTH_MODE || DEFAULT_AUTH_MODE;
+
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`AUTH_MODE must be one of: ${AUTH_MODES.join(', ')}`);
+  }
+
+  if (mode === 'demo' && process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_MODE=demo cannot be used when NODE_ENV is production');
+  }
+
+  return mode;
+};
+
+/**
+ * Hash the secret part of a refresh token for storage
+ * @param {string} secret - Random secret from the refresh token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Split a refresh token into its session ID and secret
+ * @param {string} refreshToken - Token from createSession or refreshSession
+ * @returns {Object|null} { sessionId, secret }, or null when malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+  const match = /^(\d+)\.([0-9a-f]{64})$/.exec(typeof refreshToken === 'string' ? refreshToken : '');
+  return match ? { sessionId: parseInt(match[1]), secret: match[2] } : null;
+};
+
+/**
+ * Sign an access token and pair it with a refresh token
+ * @param {number} userId - The user's ID
+ * @param {number} sessionId - The session's ID
+ * @param {string} secret - The refresh token's secret
+ * @returns {Object} { token, refresh_token, expires_in } as sent to clients
+ */
+const issueTokens = (userId, sessionId, secret) => ({
+  token: jwt.sign({ id: userId, sid: sessionId }, getJwtSecret(), { expiresIn: ACCESS_TOKEN_TTL_SECONDS }),
+  refresh_token: `${sessionId}.${secret}`,
+  expires_in: ACCESS_TOKEN_TTL_SECONDS
+});
+
+/**
+ * Start a session for a user who has just logged in or registered
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - The client's User-Agent, to tell
+ *   devices apart
+ * @returns {Promise<Object>} { token, refresh_token, expires_in }
+ */
+const createSession = async (db, userId, { userAgent = null } = {}) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const result = await db.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [userId, hashSecret(secret), userAgent, new Date(Date.now() + REFRESH_TOKEN_TTL_MS)]
+  );
+
+  return issueTokens(userId, result.rows[0].id, secret);
+};
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token
+ * @param {Object} db - pg Pool or client
+ * @param {string} refreshToken - The client's current refresh token
+ * @returns {Promise<Object|null>} { token, refresh_token, expires_in }, or
+ *   null when the token is malformed, expired, revoked or already used
+ */
+const refreshSession = (db, refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return Promise.resolve(null);
+
+  return withTransaction(db, async (client) => {
+    const now = new Date();
+    const result = await client.query(
+      `SELECT id, user_id, refresh_token_hash, expires_at, revoked_at
+       FROM user_sessions
+       WHERE id = $1
+       FOR UPDATE`,
+      [parsed.sessionId]
+    );
+
+    const session = result.rows[0];
+    if (!session || session.revoked_at || new Date(session.expires_at) <= now) return null;
+
+    // An old refresh token is being replayed, so it may have been stolen
+    if (session.refresh_token_hash !== hashSecret(parsed.secret)) {
+      await client.query('UPDATE user_sessions SET revoked_at = $1 WHERE id = $2', [now, session.id]);
+      return null;
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    await client.query(
+      `UPDATE user_sessions
+       SET refresh_token_hash = $1, last_used_at = $2, expires_at = $3
+       WHERE id = $4`,
+      [hashSecret(secret), now, new Date(now.getTime() + REFRESH_TOKEN_TTL_MS), session.id]
+    );
+
+    return issueTokens(session.user_id, session.id, secret);
+  });
+};
+
+/**
+ * Check an access token and that its session is still active
+ * @param {Object} db - pg Pool or client
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Promise<Object|null>} { userId, sessionId }, or null when the
+ *   token is invalid or expired or its session has ended
+ */
+const verifyAccessToken = async (db, token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    return null;
+  }
+
+  // Tokens from before sessions were introduced have no session to check
+  if (!payload.sid) return null;
+
+  const result = await db.query(
+    'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > $3',
+    [payload.sid, payload.id, new Date()]
+  );
+
+  return result.rows.length > 0 ? { userId: payload.id, sessionId: payload.sid } : null;
+};
+
+/**
+ * End the session a refresh token belongs to
+ * @param {Object} db - pg Pool or client
+ * @param {string} refreshToken - The client's current refresh token
+ * @returns {Promise<boolean>} Whether an active session was ended
+ */
+const revokeSession = async (db, refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = $1
+     WHERE id = $2 AND refresh_token_hash = $3 AND revoked_at IS NULL
+     RETURNING id`,
+    [new Date(), parsed.sessionId, hashSecret(parsed.secret)]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * End every active session of a user, logging them out on all devices
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @returns {Promise<number>} Number of sessions ended
+ */
+const revokeAllSessions = async (db, userId) => {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = $1
+     WHERE user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [new Date(), userId]
+  );
+
+  return result.rows.length;
+};
+
+module.exports = {
+  AUTH_MODES,
+  DEMO_USER_ID,
+  ACCESS_TOKEN_TTL_SECONDS,
+  getJwtSecret,
+  getAuthMode,
+  createSession,
+  refreshSession,
+  verifyAccessToken,
+  revokeSession,
+  revokeAllSessions
+};
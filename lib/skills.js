@@ -0,0 +1,115 @@
+// Skill growth from completed courses
+//
+// Completing a course raises the users.skills entries it develops. Courses
+// can set their own mapping in courses.skill_gains; otherwise the skill
+// matching the course category gets the primary increment and any other
+// skills named in recommended_skills get the secondary one.
+
+const { withTransaction } = require('./db');
+const { toSkillKey } = require('./recommendations');
+
+// Default points added to a skill when a course is completed
+const SKILL_GROWTH = {
+  primary: 10,  // skill matching the course category
+  secondary: 5  // other skills listed in recommended_skills
+};
+
+// Skills are percentages and never go above this
+const MAX_SKILL_LEVEL = 100;
+
+/**
+ * Work out how much each skill grows when a course is completed
+ * @param {Object} course - Course row
+ * @param {Array<string>} skillKeys - The user's skill keys
+ * @returns {Object} Map of skill key to increment
+ */
+const getSkillGains = (course, skillKeys) => {
+  if (course.skill_gains && Object.keys(course.skill_gains).length > 0) {
+    return course.skill_gains;
+  }
+
+  const gains = {};
+  const primary = toSkillKey(course.category);
+
+  for (const skill of course.recommended_skills || []) {
+    const key = toSkillKey(skill);
+    if (skillKeys.includes(key) && key !== primary) {
+      gains[key] = SKILL_GROWTH.secondary;
+    }
+  }
+
+  if (skillKeys.includes(primary)) {
+    gains[primary] = SKILL_GROWTH.primary;
+  }
+
+  return gains;
+};
+
+/**
+ * Raise a user's skills for a completed course and record each change in
+ * skill_history, all in one transaction. Skills only grow the first time
+ * any version of the course is completed.
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @param {Object} course - The completed course row
+ * @returns {Promise<Array<Object>>} The changes applied ({ skill, previous_value, new_value })
+ */
+const applySkillGrowth = (db, userId, course) => withTransaction(db, async (client) => {
+  const userResult = await client.query(
+    'SELECT skills FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+
+  if (userResult.rows.length === 0) return [];
+
+  const grownResult = await client.query(
+    `SELECT 1 FROM skill_history sh
+     JOIN courses c ON sh.course_id = c.id
+     WHERE sh.user_id = $1 AND sh.source = 'course_completion'
+       AND COALESCE(c.lineage_id, c.id) = $2
+     LIMIT 1`,
+    [userId, course.lineage_id || course.id]
+  );
+
+  if (grownResult.rows.length > 0) return [];
+
+  const skills = userResult.rows[0].skills;
+  const gains = getSkillGains(course, Object.keys(skills));
+  const updated = { ...skills };
+  const changes = [];
+
+  for (const [skill, amount] of Object.entries(gains)) {
+    const previousValue = Number(skills[skill]) || 0;
+    const newValue = Math.min(MAX_SKILL_LEVEL, previousValue + Number(amount));
+
+    if (newValue === previousValue) continue;
+
+    updated[skill] = newValue;
+    changes.push({ skill, previous_value: previousValue, new_value: newValue });
+  }
+
+  if (changes.length === 0) return [];
+
+  await client.query(
+    'UPDATE users SET skills = $1 WHERE id = $2',
+    [JSON.stringify(updated), userId]
+  );
+
+  for (const change of changes) {
+    await client.query(
+      `INSERT INTO skill_history
+       (user_id, skill, previous_value, new_value, source, course_id)
+       VALUES ($1, $2, $3, $4, 'course_completion', $5)`,
+      [userId, change.skill, change.previous_value, change.new_value, course.id]
+    );
+  }
+
+  return changes;
+});
+
+module.exports = {
+  SKILL_GROWTH,
+  MAX_SKILL_LEVEL,
+  getSkillGains,
+  applySkillGrowth
+};
@@ -0,0 +1,346 @@
+// Single sign-on
+//
+// Users can log in through an OpenID Connect provider (lib/oidc.js) or a
+// SAML 2.0 identity provider (lib/saml.js). Both flows leave the app for the
+// IdP and come back to a callback route; an sso_logins row ties the two ends
+// together and is single use. Once the IdP has authenticated someone they are
+// matched to a users row through user_identities, or by email address the
+// first time, and created if there is none (just-in-time provisioning). The
+// callback then sends the browser back to the app with a one-time code that
+// the app trades for the same access and refresh tokens a password login
+// gets, so tokens never appear in URLs.
+//
+// Configuration comes from the environment:
+//   OIDC_ISSUER, OIDC_CLIENT_ID - enable OIDC; OIDC_CLIENT_SECRET for
+//     confidential clients, OIDC_SCOPES (default "openid profile email") and
+//     OIDC_GROUPS_CLAIM (default "groups")
+//   SAML_ENTRY_POINT, SAML_IDP_CERT - enable SAML; SAML_ISSUER is the app's
+//     entity ID (default "skillboost"), SAML_IDP_ISSUER the IdP's entity ID
+//     to insist on, and SAML_GROUPS_ATTRIBUTE (default "groups")
+//   SSO_ROLE_MAP - JSON object mapping IdP group names to roles, e.g.
+//     {"skillboost-admins": "admin"}; when set, the IdP's groups decide the
+//     role of SSO users on every login
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { withTransaction } = require('./db');
+const { ROLES, DEFAULT_ROLE } = require('./permissions');
+
+// How long a user has to finish logging in at the IdP
+const SSO_LOGIN_TTL_MS = 10 * 60 * 1000;
+
+// How long the app has to trade the one-time code for tokens
+const SSO_HANDOFF_TTL_MS = 2 * 60 * 1000;
+
+/**
+ * Parse SSO_ROLE_MAP
+ * @param {string} [value] - JSON object of group name to role
+ * @returns {Map<string, string>|null} Group name to role, or null when unset
+ * @throws {Error} When the value is not a JSON object of known roles
+ */
+const parseRoleMap = (value) => {
+  if (!value) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    parsed = null;
+  }
+
+  const entries = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? Object.entries(parsed) : null;
+  if (!entries || entries.some(([, role]) => !ROLES.includes(role))) {
+    throw new Error(`SSO_ROLE_MAP must be a JSON object mapping group names to one of: ${ROLES.join(', ')}`);
+  }
+
+  return new Map(entries);
+};
+
+/**
+ * Read the SSO configuration from the environment
+ * @param {string} appUrl - Base URL of the app, for the callback URLs
+ * @returns {Object} { oidc, saml, roleMap } where oidc and saml are null
+ *   when that protocol is not configured
+ * @throws {Error} When a protocol is partly configured or SSO_ROLE_MAP is
+ *   invalid
+ */
+const getSsoConfig = (appUrl) => {
+  const env = process.env;
+  let oidc = null;
+  let saml = null;
+
+  if (env.OIDC_ISSUER) {
+    if (!env.OIDC_CLIENT_ID) {
+      throw new Error('OIDC_CLIENT_ID must be set when OIDC_ISSUER is');
+    }
+
+    oidc = {
+      issuer: env.OIDC_ISSUER.replace(/\/$/, ''),
+      clientId: env.OIDC_CLIENT_ID,
+      clientSecret: env.OIDC_CLIENT_SECRET || null,
+      scopes: env.OIDC_SCOPES || 'openid profile email',
+      groupsClaim: env.OIDC_GROUPS_CLAIM || 'groups',
+      redirectUri: `${appUrl}/api/auth/oidc/callback`
+    };
+  }
+
+  if (env.SAML_ENTRY_POINT) {
+    if (!env.SAML_IDP_CERT) {
+      throw new Error('SAML_IDP_CERT must be set when SAML_ENTRY_POINT is');
+    }
+
+    saml = {
+      entryPoint: env.SAML_ENTRY_POINT,
+      // Certificates are often put in .env files with escaped newlines
+      idpCert: env.SAML_IDP_CERT.replace(/\\n/g, '\n'),
+      issuer: env.SAML_ISSUER || 'skillboost',
+      idpIssuer: env.SAML_IDP_ISSUER || null,
+      groupsAttribute: env.SAML_GROUPS_ATTRIBUTE || 'groups',
+      callbackUrl: `${appUrl}/api/auth/saml/callback`
+    };
+  }
+
+  return { oidc, saml, roleMap: parseRoleMap(env.SSO_ROLE_MAP) };
+};
+
+/**
+ * Pick the role for a set of IdP groups; the most privileged mapped role wins
+ * @param {Map<string, string>} roleMap - From parseRoleMap
+ * @param {Array<string>} groups - The user's groups at the IdP
+ * @returns {string} A role from ROLES, DEFAULT_ROLE when no group is mapped
+ */
+const mapGroupsToRole = (roleMap, groups) => {
+  const roles = groups.map(group => roleMap.get(group)).filter(Boolean);
+  return ROLES.find(role => roles.includes(role)) || DEFAULT_ROLE;
+};
+
+/**
+ * Hash a state or one-time code for storage and lookup
+ * @param {string} value
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Record the start of a login at the IdP
+ * @param {Object} db - pg Pool or client
+ * @param {string} protocol - 'oidc' or 'saml'
+ * @param {Object} [details]
+ * @param {string} [details.codeVerifier] - OIDC PKCE code verifier
+ * @param {string} [details.requestId] - OIDC nonce or SAML AuthnRequest ID
+ * @returns {Promise<string>} State to send to the IdP, which hands it back
+ *   to the callback
+ */
+const startSsoLogin = async (db, protocol, { codeVerifier = null, requestId = null } = {}) => {
+  const state = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    `INSERT INTO sso_logins (protocol, state_hash, code_verifier, request_id, expires_at)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [protocol, hashValue(state), codeVerifier, requestId, new Date(Date.now() + SSO_LOGIN_TTL_MS)]
+  );
+
+  return state;
+};
+
+/**
+ * Use up the state an IdP handed back to a callback
+ * @param {Object} db - pg Pool or client
+ * @param {string} protocol - 'oidc' or 'saml'
+ * @param {string} state - State from the callback request
+ * @returns {Promise<Object|null>} { id, code_verifier, request_id }, or null
+ *   when the state is unknown, expired or already used
+ */
+const consumeSsoLogin = async (db, protocol, state) => {
+  if (typeof state !== 'string' || !state) return null;
+
+  const now = new Date();
+  const result = await db.query(
+    `UPDATE sso_logins SET returned_at = $1
+     WHERE state_hash = $2 AND protocol = $3 AND returned_at IS NULL AND expires_at > $1
+     RETURNING id, code_verifier, request_id`,
+    [now, hashValue(state), protocol]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Pick an unused username for a new SSO user
+ * @param {Object} db - pg Pool or client
+ * @param {string} base - Preferred username or the email's local part
+ * @returns {Promise<string>}
+ */
+const chooseUsername = async (db, base) => {
+  const stem = base.toLowerCase().replace(/[^a-z0-9._-]/g, '') || 'user';
+
+  const result = await db.query(
+    'SELECT username FROM users WHERE username = $1 OR username LIKE $2',
+    [stem, `${stem}%`]
+  );
+  const taken = new Set(result.rows.map(row => row.username));
+
+  let username = stem;
+  for (let suffix = 2; taken.has(username); suffix++) {
+    username = `${stem}${suffix}`;
+  }
+  return username;
+};
+
+/**
+ * Find or create the user for an identity the IdP has authenticated, and
+ * bring their role in line with their IdP groups when SSO_ROLE_MAP is set
+ * @param {Object} db - pg Pool or client
+ * @param {Object} identity - { protocol, issuer, subject, email,
+ *   emailVerified, name, username, groups } from lib/oidc.js or lib/saml.js,
+ *   where groups is a group name, a list of them, or missing
+ * @param {Map<string, string>|null} roleMap - From parseRoleMap
+ * @returns {Promise<Object>} { user } with the users row (without password),
+ *   or { error } when the identity cannot be matched to an account
+ */
+const provisionSsoUser = (db, identity, roleMap) => withTransaction(db, async (client) => {
+  const now = new Date();
+  const role = roleMap ? mapGroupsToRole(roleMap, [].concat(identity.groups || [])) : null;
+
+  const linkedResult = await client.query(
+    'SELECT user_id FROM user_identities WHERE protocol = $1 AND issuer = $2 AND subject = $3',
+    [identity.protocol, identity.issuer, identity.subject]
+  );
+
+  let userId = linkedResult.rows.length > 0 ? linkedResult.rows[0].user_id : null;
+
+  if (userId === null) {
+    if (!identity.email) {
+      return { error: 'The identity provider did not share an email address' };
+    }
+
+    const existingResult = await client.query(
+      'SELECT id FROM users WHERE LOWER(email) = LOWER($1)',
+      [identity.email]
+    );
+
+    if (existingResult.rows.length > 0) {
+      // Only the owner of the address may take over an existing account
+      if (!identity.emailVerified) {
+        return { error: 'An account already uses this email address, and the identity provider has not verified it' };
+      }
+      userId = existingResult.rows[0].id;
+    } else {
+      const username = await chooseUsername(client, identity.username || identity.email.split('@')[0]);
+
+      // SSO users have no password of their own; this one can never be typed
+      const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+      const createdResult = await client.query(
+        `INSERT INTO users (username, password, name, email, role, skills)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [
+          username,
+          unusablePassword,
+          identity.name || username,
+          identity.email,
+          role || DEFAULT_ROLE,
+          JSON.stringify({ leadership: 10, data_analysis: 10, project_management: 10, communication: 10, technical: 10 })
+        ]
+      );
+      userId = createdResult.rows[0].id;
+    }
+
+    await client.query(
+      `INSERT INTO user_identities (user_id, protocol, issuer, subject)
+       VALUES ($1, $2, $3, $4)`,
+      [userId, identity.protocol, identity.issuer, identity.subject]
+    );
+  }
+
+  await client.query(
+    'UPDATE user_identities SET last_login_at = $1 WHERE protocol = $2 AND issuer = $3 AND subject = $4',
+    [now, identity.protocol, identity.issuer, identity.subject]
+  );
+
+  if (role) {
+    await client.query('UPDATE users SET role = $1 WHERE id = $2', [role, userId]);
+  }
+
+  if (identity.emailVerified) {
+    await client.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, $1) WHERE id = $2',
+      [now, userId]
+    );
+  }
+
+  const userResult = await client.query('SELECT * FROM users WHERE id = $1', [userId]);
+  const user = userResult.rows[0];
+  delete user.password;
+
+  return { user };
+});
+
+/**
+ * Finish a login at the callback: remember who logged in and issue the
+ * one-time code the app trades for tokens
+ * @param {Object} db - pg Pool or client
+ * @param {number} loginId - ID from consumeSsoLogin
+ * @param {number} userId - The user's ID
+ * @returns {Promise<string>} The one-time code
+ */
+const createSsoHandoff = async (db, loginId, userId) => {
+  const code = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    'UPDATE sso_logins SET user_id = $1, handoff_hash = $2, expires_at = $3 WHERE id = $4',
+    [userId, hashValue(code), new Date(Date.now() + SSO_HANDOFF_TTL_MS), loginId]
+  );
+
+  return code;
+};
+
+/**
+ * Finish a login at a callback once the protocol has checked the IdP's
+ * answer: provision the user and issue the one-time code for the app
+ * @param {Object} db - pg Pool or client
+ * @param {Object} result - { loginId, identity } or { error } from
+ *   completeOidcLogin or completeSamlLogin
+ * @param {Map<string, string>|null} roleMap - From parseRoleMap
+ * @returns {Promise<Object>} { code }, or { error } with a message for the user
+ */
+const finishSsoLogin = async (db, result, roleMap) => {
+  if (result.error) return { error: result.error };
+
+  const { user, error } = await provisionSsoUser(db, result.identity, roleMap);
+  if (error) return { error };
+
+  return { code: await createSsoHandoff(db, result.loginId, user.id) };
+};
+
+/**
+ * Trade a one-time code from an SSO callback for the user it was issued to
+ * @param {Object} db - pg Pool or client
+ * @param {string} code - Code from the callback redirect
+ * @returns {Promise<number|null>} The user's ID, or null when the code is
+ *   unknown, expired or already used
+ */
+const redeemSsoHandoff = async (db, code) => {
+  if (typeof code !== 'string' || !code) return null;
+
+  const now = new Date();
+  const result = await db.query(
+    `UPDATE sso_logins SET redeemed_at = $1
+     WHERE handoff_hash = $2 AND redeemed_at IS NULL AND expires_at > $1
+     RETURNING user_id`,
+    [now, hashValue(code)]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  getSsoConfig,
+  mapGroupsToRole,
+  startSsoLogin,
+  consumeSsoLogin,
+  provisionSsoUser,
+  finishSsoLogin,
+  redeemSsoHandoff
+};
@@ -0,0 +1,158 @@
+// Dashboard stats: courses completed, courses in progress and training hours
+//
+// The figures are derived from training_history (each course counts once,
+// with the duration of its first completion, whichever versions were
+// completed) and user_course_progress (courses in
+// progress that have not been dismissed). They are stored in user_stats so
+// reading them is a single lookup, and refreshed in the same transaction as
+// every change to the rows they come from. reconcileUserStats recomputes
+// them all, to repair any that were changed some other way.
+
+const { withTransaction } = require('./db');
+
+// Each user's figures computed from the source tables, for the users
+// matching a condition on u (users)
+const computeStatsSql = (condition) => `
+  SELECT u.id as user_id,
+         COALESCE(history.completed, 0)::int as completed,
+         COALESCE(progress.in_progress, 0)::int as in_progress,
+         COALESCE(history.training_minutes, 0)::int as training_minutes
+  FROM users u
+  LEFT JOIN (
+    SELECT first_completion.user_id,
+           COUNT(*) as completed,
+           SUM(first_completion.duration) as training_minutes
+    FROM (
+      -- The first completion of each course, whatever its versions
+      SELECT DISTINCT ON (th.user_id, COALESCE(c.lineage_id, c.id)) th.user_id, th.duration
+      FROM training_history th
+      JOIN courses c ON th.course_id = c.id
+      ORDER BY th.user_id, COALESCE(c.lineage_id, c.id), th.completed_at, th.id
+    ) first_completion
+    GROUP BY first_completion.user_id
+  ) history ON history.user_id = u.id
+  LEFT JOIN (
+    SELECT user_id, COUNT(*) as in_progress
+    FROM user_course_progress
+    WHERE status = 'in_progress' AND dismissed = false
+    GROUP BY user_id
+  ) progress ON progress.user_id = u.id
+  WHERE ${condition}
+`;
+
+/**
+ * Shape a user_stats row for API responses
+ * @param {Object} row - { completed, in_progress, training_minutes }
+ * @returns {Object} { completed, inProgress, hours } with hours to one
+ *   decimal place
+ */
+const toStats = (row) => ({
+  completed: row.completed,
+  inProgress: row.in_progress,
+  hours: Math.round(row.training_minutes / 6) / 10
+});
+
+/**
+ * Shape a user_stats row as stored, keeping training time in whole minutes
+ * so that any difference shows
+ * @param {Object} row - { completed, in_progress, training_minutes }
+ * @returns {Object} { completed, inProgress, trainingMinutes }
+ */
+const toStoredStats = (row) => ({
+  completed: row.completed,
+  inProgress: row.in_progress,
+  trainingMinutes: row.training_minutes
+});
+
+// Recompute and store a user's stats, returning the user_stats row
+const storeUserStats = (db, userId) => withTransaction(db, async (client) => {
+  // Locked before computing, so a refresh that has to wait for another
+  // transaction's refresh computes from that transaction's changes too
+  await client.query(
+    `INSERT INTO user_stats (user_id) VALUES ($1)
+     ON CONFLICT (user_id) DO UPDATE SET user_id = EXCLUDED.user_id`,
+    [userId]
+  );
+
+  const computed = await client.query(computeStatsSql('u.id = $1'), [userId]);
+  const { completed, in_progress: inProgress, training_minutes: trainingMinutes } = computed.rows[0];
+
+  const result = await client.query(
+    `UPDATE user_stats
+     SET completed = $1, in_progress = $2, training_minutes = $3, refreshed_at = $4
+     WHERE user_id = $5
+     RETURNING *`,
+    [completed, inProgress, trainingMinutes, new Date(), userId]
+  );
+
+  return result.rows[0];
+});
+
+/**
+ * Recompute a user's stats from their progress and history
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @returns {Promise<Object>} { completed, inProgress, hours }
+ */
+const refreshUserStats = async (db, userId) => toStats(await storeUserStats(db, userId));
+
+/**
+ * Get a user's stats
+ * @param {Object} db - pg Pool or client
+ * @param {number} userId - The user's ID
+ * @returns {Promise<Object>} { completed, inProgress, hours }
+ */
+const getUserStats = async (db, userId) => {
+  const result = await db.query('SELECT * FROM user_stats WHERE user_id = $1', [userId]);
+
+  // Users who have not made any progress yet have no row
+  return result.rows.length > 0 ? toStats(result.rows[0]) : refreshUserStats(db, userId);
+};
+
+/**
+ * Find the users whose stored stats differ from their progress and history,
+ * and unless this is a dry run, correct them
+ * @param {Object} db - pg Pool or client
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report the differences
+ * @returns {Promise<Array<Object>>} { user_id, stored, actual } for each
+ *   user that differed, each { completed, inProgress, trainingMinutes }
+ *   except that stored is null when they had no stats yet
+ */
+const reconcileUserStats = async (db, { dryRun = false } = {}) => {
+  const result = await db.query(
+    `SELECT computed.*,
+            s.completed as stored_completed,
+            s.in_progress as stored_in_progress,
+            s.training_minutes as stored_training_minutes
+     FROM (${computeStatsSql('TRUE')}) computed
+     LEFT JOIN user_stats s ON s.user_id = computed.user_id
+     WHERE s.user_id IS NULL
+        OR s.completed <> computed.completed
+        OR s.in_progress <> computed.in_progress
+        OR s.training_minutes <> computed.training_minutes
+     ORDER BY computed.user_id`
+  );
+
+  const drifted = [];
+  for (const row of result.rows) {
+    const stored = row.stored_completed === null ? null : toStoredStats({
+      completed: row.stored_completed,
+      in_progress: row.stored_in_progress,
+      training_minutes: row.stored_training_minutes
+    });
+
+    // Recomputed under the lock rather than copied from this query, in case
+    // the user made progress since
+    const actual = toStoredStats(dryRun ? row : await storeUserStats(db, row.user_id));
+    drifted.push({ user_id: row.user_id, stored, actual });
+  }
+
+  return drifted;
+};
+
+module.exports = {
+  refreshUserStats,
+  getUserStats,
+  reconcileUserStats
+};
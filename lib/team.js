@@ -0,0 +1,151 @@
+// Manager team roll-ups
+//
+// Aggregates the training of a manager's direct reports (users whose
+// manager_id points at the manager), along the lines of query #7 in
+// queries.sql: enrolments and completions from user_course_progress,
+// completed minutes from training_history, overdue assignments, and skill
+// levels from users.
+
+const { skillLabel, SKILL_GAP_THRESHOLD } = require('./recommendations');
+const { getUserAssignments } = require('./assignments');
+
+/**
+ * Percentage of started courses that have been completed
+ * @param {number} completed - Completed courses
+ * @param {number} enrolled - Started or completed courses
+ * @returns {number} Completion rate (0-100)
+ */
+const completionRate = (completed, enrolled) =>
+  (enrolled > 0 ? Math.round((completed / enrolled) * 100) : 0);
+
+/**
+ * Find the lowest of a user's skills
+ * @param {Object} skills - users.skills
+ * @returns {Object|null} { skill, label, level }, or null without skills
+ */
+const weakestSkill = (skills) => {
+  const entries = Object.entries(skills || {});
+  if (entries.length === 0) return null;
+
+  const [skill, level] = entries.reduce((lowest, entry) => (Number(entry[1]) < Number(lowest[1]) ? entry : lowest));
+  return { skill, label: skillLabel(skill), level: Number(level) };
+};
+
+/**
+ * Roll up course progress and overdue items for each direct report
+ * @param {Object} db - pg Pool or client
+ * @param {number} managerId - The manager's user ID
+ * @param {Date} [now=new Date()] - Reference time for overdue checks
+ * @returns {Promise<Object>} { summary, members } where each member has
+ *   enrolment and completion counts, completion_rate, training minutes,
+ *   last_activity and assigned courses past their due date
+ */
+const getTeamProgress = async (db, managerId, now = new Date()) => {
+  const membersResult = await db.query(
+    `SELECT u.id, u.name, u.email, u.role,
+            COUNT(CASE WHEN ucp.status IN ('in_progress', 'completed') THEN 1 END)::int as courses_enrolled,
+            COUNT(CASE WHEN ucp.status = 'completed' THEN 1 END)::int as courses_completed,
+            COUNT(CASE WHEN ucp.status = 'in_progress' THEN 1 END)::int as courses_in_progress,
+            MAX(ucp.last_accessed_at) as last_activity
+     FROM users u
+     LEFT JOIN user_course_progress ucp ON ucp.user_id = u.id AND ucp.dismissed = false
+     WHERE u.manager_id = $1
+     GROUP BY u.id, u.name, u.email, u.role
+     ORDER BY u.name`,
+    [managerId]
+  );
+
+  const historyResult = await db.query(
+    `SELECT th.user_id, SUM(th.duration)::int as training_minutes
+     FROM training_history th
+     JOIN users u ON th.user_id = u.id
+     WHERE u.manager_id = $1
+     GROUP BY th.user_id`,
+    [managerId]
+  );
+
+  const minutesByUser = new Map(historyResult.rows.map(row => [row.user_id, row.training_minutes]));
+
+  const members = [];
+  for (const member of membersResult.rows) {
+    const assignments = await getUserAssignments(db, member, now);
+
+    members.push({
+      ...member,
+      completion_rate: completionRate(member.courses_completed, member.courses_enrolled),
+      training_minutes: minutesByUser.get(member.id) || 0,
+      overdue: assignments
+        .filter(assignment => assignment.overdue)
+        .map(assignment => ({
+          assignment_id: assignment.id,
+          course_id: assignment.course_id,
+          course_title: assignment.course_title,
+          progress: assignment.progress,
+          due_at: assignment.due_at,
+          days_overdue: assignment.days_overdue
+        }))
+    });
+  }
+
+  const totals = members.reduce((sum, member) => ({
+    enrolled: sum.enrolled + member.courses_enrolled,
+    completed: sum.completed + member.courses_completed,
+    overdue: sum.overdue + member.overdue.length
+  }), { enrolled: 0, completed: 0, overdue: 0 });
+
+  return {
+    summary: {
+      team_size: members.length,
+      courses_enrolled: totals.enrolled,
+      courses_completed: totals.completed,
+      completion_rate: completionRate(totals.completed, totals.enrolled),
+      overdue_count: totals.overdue
+    },
+    members
+  };
+};
+
+/**
+ * Summarize the skills of each direct report and of the team as a whole
+ * @param {Object} db - pg Pool or client
+ * @param {number} managerId - The manager's user ID
+ * @returns {Promise<Object>} { averages, weakest_skill, members } where each
+ *   member has their skills, weakest_skill and the skills below the gap
+ *   threshold
+ */
+const getTeamSkills = async (db, managerId) => {
+  const result = await db.query(
+    'SELECT id, name, role, skills FROM users WHERE manager_id = $1 ORDER BY name',
+    [managerId]
+  );
+
+  const members = result.rows.map(member => ({
+    ...member,
+    weakest_skill: weakestSkill(member.skills),
+    skill_gaps: Object.keys(member.skills || {}).filter(skill => Number(member.skills[skill]) < SKILL_GAP_THRESHOLD)
+  }));
+
+  const totals = {};
+  for (const member of members) {
+    for (const [skill, level] of Object.entries(member.skills || {})) {
+      totals[skill] = (totals[skill] || 0) + Number(level);
+    }
+  }
+
+  const averages = {};
+  for (const [skill, total] of Object.entries(totals)) {
+    averages[skill] = Math.round(total / members.length);
+  }
+
+  return {
+    averages,
+    weakest_skill: weakestSkill(averages),
+    members
+  };
+};
+
+module.exports = {
+  weakestSkill,
+  getTeamProgress,
+  getTeamSkills
+};
@@ -0,0 +1,99 @@
+// Apply and roll back database migrations
+//
+//   node migrate.js up [--to <version>]
+//   node migrate.js down [--steps <n> | --to <version>]
+//   node migrate.js status
+//
+// up applies every pending migration in migrations/, or those up to a
+// version. down rolls back the latest migration, the latest n, or all those
+// newer than a version (--to 0 rolls back everything); with NODE_ENV set to
+// production it also needs --yes, as rolling back usually drops data. The
+// database is the one DATABASE_URL names, as for the server.
+
+const { createPool } = require('./lib/db');
+const { migrationId, loadMigrations, getMigrationStatus, migrateUp, migrateDown } = require('./lib/migrations');
+
+const USAGE = 'Usage: node migrate.js up [--to <version>] | down [--steps <n> | --to <version>] [--yes] | status';
+
+/**
+ * Read the command and its options from the command line
+ * @param {Array<string>} args - process.argv without node and the script
+ * @returns {Object} { command, to, steps, yes }
+ * @throws {Error} When an option is unknown or its value is not a number
+ */
+const parseArgs = ([command, ...args]) => {
+  const options = { command, to: undefined, steps: undefined, yes: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--yes') {
+      options.yes = true;
+    } else if (args[i] === '--to' || args[i] === '--steps') {
+      const value = Number(args[++i]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${args[i - 1]} needs a whole number`);
+      }
+      options[args[i - 1].slice(2)] = value;
+    } else {
+      throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Print each migration and whether the database has applied it
+ * @param {Array<Object>} status - From getMigrationStatus
+ */
+const printStatus = (status) => {
+  if (status.length === 0) {
+    console.log('No migrations');
+    return;
+  }
+
+  for (const migration of status) {
+    if (migration.missing) {
+      console.log(`missing  ${migrationId(migration)} (applied ${migration.applied_at.toISOString()}, but its files are gone)`);
+    } else if (migration.applied_at) {
+      console.log(`applied  ${migrationId(migration)} (${migration.applied_at.toISOString()})`);
+    } else {
+      console.log(`pending  ${migrationId(migration)}`);
+    }
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!['up', 'down', 'status'].includes(options.command)) throw new Error(USAGE);
+  if (options.command === 'up' && options.steps !== undefined) throw new Error('up takes --to, not --steps');
+  if (options.command === 'down') {
+    if (options.steps !== undefined && options.to !== undefined) throw new Error('down takes --steps or --to, not both');
+    if (process.env.NODE_ENV === 'production' && !options.yes) {
+      throw new Error('Rolling back a production database needs --yes');
+    }
+  }
+
+  const migrations = loadMigrations();
+  const log = (line) => console.log(line);
+  const pool = createPool();
+
+  try {
+    if (options.command === 'status') {
+      printStatus(await getMigrationStatus(pool, migrations));
+    } else if (options.command === 'up') {
+      const applied = await migrateUp(pool, { to: options.to, log }, migrations);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Already up to date');
+    } else {
+      const rolledBack = await migrateDown(pool, { steps: options.steps, to: options.to, log }, migrations);
+      console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    }
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+-- Drops every table 001_initial_schema.up.sql creates, and all their data,
+-- in reverse order so that no table is dropped before those referencing it
+
+DROP TABLE IF EXISTS sso_logins;
+DROP TABLE IF EXISTS user_identities;
+DROP TABLE IF EXISTS auth_attempts;
+DROP TABLE IF EXISTS account_tokens;
+DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS user_badges;
+DROP TABLE IF EXISTS learning_activity_days;
+DROP TABLE IF EXISTS xp_events;
+DROP TABLE IF EXISTS learning_path_enrollments;
+DROP TABLE IF EXISTS learning_path_courses;
+DROP TABLE IF EXISTS learning_paths;
+DROP TABLE IF EXISTS course_prerequisites;
+DROP TABLE IF EXISTS course_reviews;
+DROP TABLE IF EXISTS assignments;
+DROP TABLE IF EXISTS user_group_members;
+DROP TABLE IF EXISTS user_groups;
+DROP TABLE IF EXISTS skill_history;
+DROP TABLE IF EXISTS certificates;
+DROP TABLE IF EXISTS training_history;
+DROP TABLE IF EXISTS assessment_attempts;
+DROP TABLE IF EXISTS assessments;
+DROP TABLE IF EXISTS user_module_progress;
+DROP TABLE IF EXISTS user_course_progress;
+DROP TABLE IF EXISTS courses;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,359 @@
+-- Database Schema for TrainSphere Learning Platform
+--
+-- The schema as POST /api/init-db used to create it, plus everything added
+-- since. Every statement is IF NOT EXISTS and the columns that route didn't
+-- create are added below, so a database it set up can be brought under
+-- migrations by running this one over it.
+
+-- Users Table
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL UNIQUE,
+  password TEXT NOT NULL,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  role TEXT NOT NULL DEFAULT 'learner', -- admin, manager or learner (see lib/permissions.js)
+  manager_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- the user's manager, for report access
+  leaderboard_opt_out BOOLEAN NOT NULL DEFAULT FALSE, -- left out of every leaderboard when true
+  email_verified_at TIMESTAMP WITH TIME ZONE, -- set once the user follows their verification link
+  skills JSONB NOT NULL,
+  stats JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Courses Table
+CREATE TABLE IF NOT EXISTS courses (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  description TEXT NOT NULL,
+  instructor TEXT NOT NULL,
+  category TEXT NOT NULL,
+  duration INTEGER NOT NULL, -- in minutes
+  image_path TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  modules JSONB NOT NULL,
+  learning_outcomes JSONB NOT NULL,
+  recommended_roles JSONB NOT NULL,
+  recommended_skills JSONB NOT NULL,
+  skill_gains JSONB, -- { skill_key: points } added on completion, NULL for the default mapping
+  version INTEGER NOT NULL DEFAULT 1,
+  lineage_id INTEGER REFERENCES courses(id), -- first version of this course, NULL on the first version itself
+  superseded_by INTEGER REFERENCES courses(id), -- newer version that replaced this one
+  archived_at TIMESTAMP WITH TIME ZONE, -- hidden from the catalog and recommendations when set
+  rating REAL DEFAULT 0, -- average of the published reviews of every version
+  review_count INTEGER DEFAULT 0
+);
+
+-- User Course Progress Table
+CREATE TABLE IF NOT EXISTS user_course_progress (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  progress INTEGER NOT NULL DEFAULT 0, -- percentage 0-100, derived from completed module minutes
+  status TEXT NOT NULL DEFAULT 'not_started', -- not_started, in_progress, completed
+  last_accessed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  score INTEGER, -- average best assessment score
+  dismissed BOOLEAN NOT NULL DEFAULT FALSE,
+  UNIQUE(user_id, course_id)
+);
+
+-- User Module Progress Table
+CREATE TABLE IF NOT EXISTS user_module_progress (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  module_index INTEGER NOT NULL, -- zero-based index into courses.modules
+  status TEXT NOT NULL DEFAULT 'in_progress', -- in_progress, completed
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE(user_id, course_id, module_index)
+);
+
+-- Assessments Table
+CREATE TABLE IF NOT EXISTS assessments (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  module_index INTEGER, -- NULL for a course-level (final) assessment
+  title TEXT NOT NULL,
+  questions JSONB NOT NULL, -- [{ prompt, options, answer, points }]
+  pass_threshold INTEGER NOT NULL DEFAULT 70, -- percentage needed to pass
+  max_attempts INTEGER, -- NULL for unlimited attempts
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Assessment Attempts Table
+CREATE TABLE IF NOT EXISTS assessment_attempts (
+  id SERIAL PRIMARY KEY,
+  assessment_id INTEGER NOT NULL REFERENCES assessments(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  answers JSONB NOT NULL,
+  score INTEGER NOT NULL, -- percentage 0-100
+  passed BOOLEAN NOT NULL,
+  submitted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Training History Table
+CREATE TABLE IF NOT EXISTS training_history (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  completed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  duration INTEGER NOT NULL, -- in minutes
+  score INTEGER, -- average best assessment score, NULL for ungraded courses
+  certificate BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- Certificates Table
+CREATE TABLE IF NOT EXISTS certificates (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  training_history_id INTEGER REFERENCES training_history(id) ON DELETE CASCADE,
+  code TEXT UNIQUE, -- certificate number, e.g. DATA-2024-012-9F8E7D6C; set once the row has its ID
+  signature TEXT, -- HMAC-SHA256 of the certificate details
+  issued_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Skill History Table
+CREATE TABLE IF NOT EXISTS skill_history (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  skill TEXT NOT NULL, -- key into users.skills
+  previous_value INTEGER NOT NULL,
+  new_value INTEGER NOT NULL,
+  source TEXT NOT NULL, -- what caused the change, e.g. course_completion
+  course_id INTEGER REFERENCES courses(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User Groups Table
+CREATE TABLE IF NOT EXISTS user_groups (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User Group Members Table
+CREATE TABLE IF NOT EXISTS user_group_members (
+  group_id INTEGER NOT NULL REFERENCES user_groups(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  PRIMARY KEY (group_id, user_id)
+);
+
+-- Assignments Table
+CREATE TABLE IF NOT EXISTS assignments (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- assigned to one user,
+  role TEXT, -- to everyone with a role,
+  group_id INTEGER REFERENCES user_groups(id) ON DELETE CASCADE, -- or to a group
+  due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CHECK (num_nonnulls(user_id, role, group_id) = 1)
+);
+
+-- Course Reviews Table
+CREATE TABLE IF NOT EXISTS course_reviews (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE, -- first version of the course
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'published', -- 'published' or 'hidden' by a moderator
+  moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  moderated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (course_id, user_id)
+);
+
+-- Course Prerequisites Table
+CREATE TABLE IF NOT EXISTS course_prerequisites (
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE, -- first version of the course
+  prerequisite_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE, -- first version of the course it requires
+  PRIMARY KEY (course_id, prerequisite_id),
+  CHECK (course_id <> prerequisite_id)
+);
+
+-- Learning Paths Table
+CREATE TABLE IF NOT EXISTS learning_paths (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL UNIQUE,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Learning Path Courses Table
+CREATE TABLE IF NOT EXISTS learning_path_courses (
+  path_id INTEGER NOT NULL REFERENCES learning_paths(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE, -- first version of the course
+  position INTEGER NOT NULL, -- order within the path, from 0
+  PRIMARY KEY (path_id, course_id)
+);
+
+-- Learning Path Enrollments Table
+CREATE TABLE IF NOT EXISTS learning_path_enrollments (
+  path_id INTEGER NOT NULL REFERENCES learning_paths(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  enrolled_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (path_id, user_id)
+);
+
+-- XP Events Table
+CREATE TABLE IF NOT EXISTS xp_events (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL, -- 'module_completed' or 'course_completed'
+  source_key TEXT NOT NULL, -- what earned the XP, so it is only awarded once
+  course_id INTEGER REFERENCES courses(id) ON DELETE SET NULL,
+  xp INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, source_key)
+);
+
+-- Learning Activity Days Table
+CREATE TABLE IF NOT EXISTS learning_activity_days (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  activity_date DATE NOT NULL, -- UTC day with at least one progress update
+  PRIMARY KEY (user_id, activity_date)
+);
+
+-- User Badges Table
+CREATE TABLE IF NOT EXISTS user_badges (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  badge_id TEXT NOT NULL, -- id of a badge in lib/achievements.js
+  earned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, badge_id)
+);
+
+-- User Sessions Table
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL, -- SHA-256 of the current refresh token's secret, replaced on every refresh
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE -- set on logout, logout of all devices or refresh token reuse
+);
+
+-- Account Tokens Table
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL, -- email_verification or password_reset
+  token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token sent by email
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE -- set when the token is used or replaced by a newer one
+);
+
+-- Auth Attempts Table
+CREATE TABLE IF NOT EXISTS auth_attempts (
+  id SERIAL PRIMARY KEY,
+  action TEXT NOT NULL, -- key of RATE_LIMITS in lib/ratelimits.js, e.g. login
+  ip_address TEXT NOT NULL,
+  identifier TEXT, -- lowercased username or email the attempt was made against
+  user_agent TEXT,
+  outcome TEXT NOT NULL, -- pending, success, failure, error or blocked
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User Identities Table
+CREATE TABLE IF NOT EXISTS user_identities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  protocol TEXT NOT NULL, -- oidc or saml
+  issuer TEXT NOT NULL, -- OIDC issuer or SAML IdP entity ID
+  subject TEXT NOT NULL, -- OIDC sub claim or SAML NameID
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (protocol, issuer, subject)
+);
+
+-- SSO Logins Table
+CREATE TABLE IF NOT EXISTS sso_logins (
+  id SERIAL PRIMARY KEY,
+  protocol TEXT NOT NULL, -- oidc or saml
+  state_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the OIDC state or SAML RelayState sent to the IdP
+  code_verifier TEXT, -- OIDC PKCE code verifier
+  request_id TEXT, -- OIDC nonce or SAML AuthnRequest ID the IdP's answer must carry
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- set once the IdP has authenticated the user
+  handoff_hash TEXT UNIQUE, -- SHA-256 of the one-time code the app trades for tokens
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  returned_at TIMESTAMP WITH TIME ZONE, -- set when the IdP sends the user back
+  redeemed_at TIMESTAMP WITH TIME ZONE -- set when the one-time code is traded for tokens
+);
+
+-- Bring tables created by POST /api/init-db up to the definitions above
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'learner';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS manager_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS leaderboard_opt_out BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS skill_gains JSONB;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS lineage_id INTEGER REFERENCES courses(id);
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS superseded_by INTEGER REFERENCES courses(id);
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE courses ALTER COLUMN rating TYPE REAL;
+ALTER TABLE training_history ALTER COLUMN score DROP NOT NULL;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_user_course_progress_user_id ON user_course_progress(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_course_progress_course_id ON user_course_progress(course_id);
+CREATE INDEX IF NOT EXISTS idx_user_module_progress_user_course ON user_module_progress(user_id, course_id);
+CREATE INDEX IF NOT EXISTS idx_training_history_user_id ON training_history(user_id);
+CREATE INDEX IF NOT EXISTS idx_skill_history_user_id ON skill_history(user_id);
+CREATE INDEX IF NOT EXISTS idx_certificates_user_id ON certificates(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_group_members_user_id ON user_group_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_assignments_user_id ON assignments(user_id);
+CREATE INDEX IF NOT EXISTS idx_assignments_role ON assignments(role);
+CREATE INDEX IF NOT EXISTS idx_assignments_group_id ON assignments(group_id);
+CREATE INDEX IF NOT EXISTS idx_assessments_course_id ON assessments(course_id);
+CREATE INDEX IF NOT EXISTS idx_assessment_attempts_user_assessment ON assessment_attempts(user_id, assessment_id);
+CREATE INDEX IF NOT EXISTS idx_courses_category ON courses(category);
+CREATE INDEX IF NOT EXISTS idx_courses_lineage_id ON courses(lineage_id);
+-- Full-text catalog search; lib/catalog.js searches the same expression
+CREATE INDEX IF NOT EXISTS idx_courses_search ON courses USING GIN (to_tsvector('english', title || ' ' || description || ' ' || instructor || ' ' || learning_outcomes::text));
+CREATE INDEX IF NOT EXISTS idx_course_reviews_course_status ON course_reviews(course_id, status);
+CREATE INDEX IF NOT EXISTS idx_course_prerequisites_prerequisite_id ON course_prerequisites(prerequisite_id);
+CREATE INDEX IF NOT EXISTS idx_learning_path_enrollments_user_id ON learning_path_enrollments(user_id);
+CREATE INDEX IF NOT EXISTS idx_xp_events_user_id ON xp_events(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user_purpose ON account_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_ip ON auth_attempts(action, ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_identifier ON auth_attempts(action, identifier, created_at);
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE INDEX IF NOT EXISTS idx_users_manager_id ON users(manager_id);
+
+-- Comments explaining purpose of tables
+COMMENT ON TABLE users IS 'Users of the TrainSphere platform including their roles and skills';
+COMMENT ON TABLE courses IS 'Training courses available on the platform, one row per version';
+COMMENT ON TABLE user_course_progress IS 'Tracks user progress through courses including completion status';
+COMMENT ON TABLE user_module_progress IS 'Tracks which modules of a course a user has started or completed';
+COMMENT ON TABLE assessments IS 'Quizzes attached to a course or one of its modules, with pass thresholds';
+COMMENT ON TABLE assessment_attempts IS 'Server-graded assessment attempts by users';
+COMMENT ON TABLE training_history IS 'Records of completed training for certification and history purposes';
+COMMENT ON TABLE certificates IS 'Signed, uniquely numbered certificates issued for completed training';
+COMMENT ON TABLE skill_history IS 'Audit trail of changes to user skill levels and what caused them';
+COMMENT ON TABLE user_groups IS 'Named groups of users that courses can be assigned to';
+COMMENT ON TABLE user_group_members IS 'Membership of users in groups';
+COMMENT ON TABLE assignments IS 'Courses assigned with a due date to a user, a role or a group';
+COMMENT ON TABLE course_reviews IS 'Learner ratings and written reviews of completed courses, with moderation status';
+COMMENT ON TABLE course_prerequisites IS 'Courses that must be completed before another course can be started';
+COMMENT ON TABLE learning_paths IS 'Named programs of courses taken in order';
+COMMENT ON TABLE learning_path_courses IS 'The ordered courses of each learning path';
+COMMENT ON TABLE learning_path_enrollments IS 'Users enrolled in learning paths';
+COMMENT ON TABLE xp_events IS 'XP awarded to users for completing modules and courses';
+COMMENT ON TABLE learning_activity_days IS 'Days each user made progress, for learning streaks';
+COMMENT ON TABLE user_badges IS 'Badges earned by users';
+COMMENT ON TABLE user_sessions IS 'Login sessions with their rotating refresh tokens, one per device';
+COMMENT ON TABLE account_tokens IS 'Hashed single-use tokens emailed to verify addresses and reset passwords';
+COMMENT ON TABLE auth_attempts IS 'Attempts to log in, register and reset passwords, for rate limiting and auditing failed logins';
+COMMENT ON TABLE user_identities IS 'Accounts at OIDC and SAML identity providers linked to users for single sign-on';
+COMMENT ON TABLE sso_logins IS 'Single sign-on logins in progress, from leaving for the IdP to trading the one-time code for tokens';
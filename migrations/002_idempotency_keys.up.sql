@@ -0,0 +1,12 @@
+-- Idempotency Keys Table
+CREATE TABLE idempotency_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  idempotency_key TEXT NOT NULL, -- the client's Idempotency-Key header
+  request_hash TEXT NOT NULL, -- SHA-256 of the method, path and body the key was first sent with
+  response JSONB, -- the response body, replayed when the request is retried
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, idempotency_key)
+);
+
+COMMENT ON TABLE idempotency_keys IS 'Responses to requests sent with an Idempotency-Key, so that retrying one does not apply it twice';
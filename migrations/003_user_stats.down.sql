@@ -0,0 +1,15 @@
+-- Puts back users.stats with the current figures; hours were whole numbers
+ALTER TABLE users ADD COLUMN stats JSONB NOT NULL DEFAULT '{"completed": 0, "inProgress": 0, "hours": 0}';
+
+UPDATE users
+SET stats = jsonb_build_object(
+  'completed', s.completed,
+  'inProgress', s.in_progress,
+  'hours', ROUND(s.training_minutes / 60.0)::int
+)
+FROM user_stats s
+WHERE s.user_id = users.id;
+
+ALTER TABLE users ALTER COLUMN stats DROP DEFAULT;
+
+DROP TABLE IF EXISTS user_stats;
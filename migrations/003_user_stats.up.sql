@@ -0,0 +1,41 @@
+-- Replaces the users.stats counters, which were only ever incremented, with
+-- figures derived from the progress and history they summarize (see
+-- lib/stats.js), filled in here for existing users
+
+-- User Stats Table
+CREATE TABLE user_stats (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  completed INTEGER NOT NULL DEFAULT 0, -- courses with training history, each counted once whatever its versions
+  in_progress INTEGER NOT NULL DEFAULT 0, -- courses in progress and not dismissed
+  training_minutes INTEGER NOT NULL DEFAULT 0, -- total duration of completed courses, each counted once like completed
+  refreshed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO user_stats (user_id, completed, in_progress, training_minutes)
+SELECT u.id,
+       COALESCE(history.completed, 0),
+       COALESCE(progress.in_progress, 0),
+       COALESCE(history.training_minutes, 0)
+FROM users u
+LEFT JOIN (
+  SELECT first_completion.user_id,
+         COUNT(*) as completed,
+         SUM(first_completion.duration) as training_minutes
+  FROM (
+    SELECT DISTINCT ON (th.user_id, COALESCE(c.lineage_id, c.id)) th.user_id, th.duration
+    FROM training_history th
+    JOIN courses c ON th.course_id = c.id
+    ORDER BY th.user_id, COALESCE(c.lineage_id, c.id), th.completed_at, th.id
+  ) first_completion
+  GROUP BY first_completion.user_id
+) history ON history.user_id = u.id
+LEFT JOIN (
+  SELECT user_id, COUNT(*) as in_progress
+  FROM user_course_progress
+  WHERE status = 'in_progress' AND dismissed = false
+  GROUP BY user_id
+) progress ON progress.user_id = u.id;
+
+ALTER TABLE users DROP COLUMN stats;
+
+COMMENT ON TABLE user_stats IS 'Course counts and training time per user, derived from user_course_progress and training_history';
@@ -0,0 +1,3 @@
+-- Nothing to undo: archiving every version of an archived course is how
+-- archiving works now, and which versions were archived before is not kept
+SELECT 1;
@@ -0,0 +1,10 @@
+-- Archiving a course used to archive only the version it was given, so
+-- learners still on an older version kept seeing it. Archive every version
+-- of the courses whose latest version is archived.
+UPDATE courses
+SET archived_at = latest.archived_at
+FROM courses latest
+WHERE latest.superseded_by IS NULL
+  AND latest.archived_at IS NOT NULL
+  AND COALESCE(latest.lineage_id, latest.id) = COALESCE(courses.lineage_id, courses.id)
+  AND courses.archived_at IS NULL;
@@ -0,0 +1,4 @@
+-- users.role became a permission level (admin, manager or learner), so
+-- recommendations match courses.recommended_roles against this instead.
+-- Left empty for existing users until an admin fills it in.
+ALTER TABLE users ADD COLUMN job_title TEXT; -- e.g. Analyst, matched against courses.recommended_roles
@@ -0,0 +1,278 @@
+// Mock identity provider for trying single sign-on locally
+//
+// Serves both an OpenID Connect provider and a SAML 2.0 identity provider.
+// Instead of checking a password, its login page asks who you want to be
+// (email, name, username and groups), so SSO provisioning and role mapping
+// can be tried with any user. Never expose it outside a development machine.
+//
+//   node mock-idp.js
+//
+// prints the variables to start the app with. MOCK_IDP_PORT (default 5100),
+// MOCK_IDP_CLIENT_ID (default "skillboost") and MOCK_IDP_CLIENT_SECRET
+// (default none, for a public client) configure it. Its signing key is kept
+// in MOCK_IDP_KEY_FILE (default in the temp directory) so the app's
+// SAML_IDP_CERT stays valid across restarts.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const bodyParser = require('body-parser');
+const jwt = require('jsonwebtoken');
+const { SignedXml } = require('xml-crypto');
+
+const port = process.env.MOCK_IDP_PORT || 5100;
+const issuer = `http://localhost:${port}`;
+const clientId = process.env.MOCK_IDP_CLIENT_ID || 'skillboost';
+const clientSecret = process.env.MOCK_IDP_CLIENT_SECRET || null;
+const keyFile = process.env.MOCK_IDP_KEY_FILE || path.join(os.tmpdir(), 'skillboost-mock-idp-key.pem');
+
+// Reuse the signing key from an earlier run when there is one
+if (!fs.existsSync(keyFile)) {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+}
+const privateKeyPem = fs.readFileSync(keyFile, 'utf8');
+const publicKey = crypto.createPublicKey(privateKeyPem);
+const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+const kid = crypto.createHash('sha256').update(publicKeyPem).digest('hex').slice(0, 16);
+
+// Authorization codes waiting to be exchanged at the token endpoint
+const authorizationCodes = new Map();
+
+/**
+ * Escape text for HTML and XML
+ * @param {any} value
+ * @returns {string}
+ */
+const escape = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Render the page asking who to log in as
+ * @param {Object} request - Hidden fields carrying the SSO request through
+ * @returns {string} HTML
+ */
+const renderLoginPage = (request) => `<!doctype html>
+<html>
+<head><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; max-width: 28rem; margin: 3rem auto">
+  <h1>Mock IdP (${escape(request.protocol.toUpperCase())})</h1>
+  <p>Log in as anyone. Groups are comma separated and mapped to roles by SSO_ROLE_MAP.</p>
+  <form method="post" action="/login">
+    ${Object.entries(request).map(([name, value]) => `<input type="hidden" name="${escape(name)}" value="${escape(value)}">`).join('\n    ')}
+    <p><label>Email<br><input name="email" value="jordan@example.com" size="40"></label></p>
+    <p><label>Name<br><input name="name" value="Jordan Lee" size="40"></label></p>
+    <p><label>Username<br><input name="username" value="jordan" size="40"></label></p>
+    <p><label>Groups<br><input name="groups" value="skillboost-learners" size="40"></label></p>
+    <button type="submit">Log in</button>
+    <button type="submit" name="deny" value="1">Deny</button>
+  </form>
+</body>
+</html>`;
+
+/**
+ * Read the person to log in as from the login form
+ * @param {Object} body - Posted form
+ * @returns {Object} { sub, email, name, username, groups }
+ */
+const readPerson = (body) => {
+  const username = body.username || body.email.split('@')[0];
+  return {
+    sub: username,
+    email: body.email,
+    name: body.name,
+    username,
+    groups: (body.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+  };
+};
+
+/**
+ * Build a signed SAML response for a person
+ * @param {Object} request - acs_url, request_id and audience from the AuthnRequest
+ * @param {Object} person - From readPerson
+ * @returns {string} Base64 encoded Response XML
+ */
+const buildSamlResponse = (request, person) => {
+  const now = new Date();
+  const later = new Date(now.getTime() + 5 * 60 * 1000);
+  const id = (prefix) => `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+
+  const attribute = (name, values) => `<saml:Attribute Name="${escape(name)}">${
+    [].concat(values).map(value => `<saml:AttributeValue>${escape(value)}</saml:AttributeValue>`).join('')
+  }</saml:Attribute>`;
+
+  const xml = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${id('_r')}" Version="2.0" IssueInstant="${now.toISOString()}" Destination="${escape(request.acs_url)}" InResponseTo="${escape(request.request_id)}">`
+    + `<saml:Issuer>${issuer}</saml:Issuer>`
+    + '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>'
+    + `<saml:Assertion ID="${id('_a')}" Version="2.0" IssueInstant="${now.toISOString()}">`
+    + `<saml:Issuer>${issuer}</saml:Issuer>`
+    + `<saml:Subject><saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${escape(person.email)}</saml:NameID>`
+    + `<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer"><saml:SubjectConfirmationData NotOnOrAfter="${later.toISOString()}" Recipient="${escape(request.acs_url)}" InResponseTo="${escape(request.request_id)}"/></saml:SubjectConfirmation></saml:Subject>`
+    + `<saml:Conditions NotBefore="${now.toISOString()}" NotOnOrAfter="${later.toISOString()}"><saml:AudienceRestriction><saml:Audience>${escape(request.audience)}</saml:Audience></saml:AudienceRestriction></saml:Conditions>`
+    + `<saml:AuthnStatement AuthnInstant="${now.toISOString()}" SessionIndex="${id('_s')}"><saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext></saml:AuthnStatement>`
+    + '<saml:AttributeStatement>'
+    + attribute('email', person.email)
+    + attribute('displayName', person.name)
+    + attribute('username', person.username)
+    + (person.groups.length > 0 ? attribute('groups', person.groups) : '')
+    + '</saml:AttributeStatement>'
+    + '</saml:Assertion>'
+    + '</samlp:Response>';
+
+  const signature = new SignedXml({
+    privateKey: privateKeyPem,
+    signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+    canonicalizationAlgorithm: 'http://www.w3.org/2001/10/xml-exc-c14n#'
+  });
+  signature.addReference({
+    xpath: "//*[local-name(.)='Assertion']",
+    transforms: ['http://www.w3.org/2000/09/xmldsig#enveloped-signature', 'http://www.w3.org/2001/10/xml-exc-c14n#'],
+    digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256'
+  });
+  signature.computeSignature(xml, {
+    location: { reference: "//*[local-name(.)='Assertion']/*[local-name(.)='Issuer']", action: 'after' }
+  });
+
+  return Buffer.from(signature.getSignedXml()).toString('base64');
+};
+
+const app = express();
+app.use(bodyParser.urlencoded({ extended: false }));
+
+// OpenID Connect discovery
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+});
+
+// OIDC authorization endpoint
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== clientId || response_type !== 'code' || !redirect_uri) {
+    return res.status(400).send('Unknown client_id, or response_type is not code');
+  }
+
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE with S256 is required');
+  }
+
+  res.send(renderLoginPage({ protocol: 'oidc', redirect_uri, state, nonce, code_challenge }));
+});
+
+// SAML single sign-on service, HTTP-Redirect binding
+app.get('/saml/sso', (req, res) => {
+  let request;
+  try {
+    request = zlib.inflateRawSync(Buffer.from(req.query.SAMLRequest, 'base64')).toString('utf8');
+  } catch (error) {
+    return res.status(400).send('SAMLRequest is missing or not a deflated AuthnRequest');
+  }
+
+  const read = (pattern) => (pattern.exec(request) || [])[1];
+
+  res.send(renderLoginPage({
+    protocol: 'saml',
+    request_id: read(/\bID="([^"]+)"/),
+    acs_url: read(/AssertionConsumerServiceURL="([^"]+)"/),
+    audience: read(/<(?:saml:)?Issuer[^>]*>([^<]+)</),
+    relay_state: req.query.RelayState || ''
+  }));
+});
+
+// The login page posts here for both protocols
+app.post('/login', (req, res) => {
+  const request = req.body;
+
+  if (request.protocol === 'oidc') {
+    const url = new URL(request.redirect_uri);
+    url.searchParams.set('state', request.state);
+
+    if (request.deny) {
+      url.searchParams.set('error', 'access_denied');
+      url.searchParams.set('error_description', 'The user denied the login');
+    } else {
+      const code = crypto.randomBytes(16).toString('hex');
+      authorizationCodes.set(code, { ...request, person: readPerson(request), expiresAt: Date.now() + 60 * 1000 });
+      url.searchParams.set('code', code);
+    }
+
+    return res.redirect(url.toString());
+  }
+
+  // The response goes back through the browser with the HTTP-POST binding
+  const samlResponse = request.deny ? null : buildSamlResponse(request, readPerson(request));
+  res.send(`<!doctype html>
+<html>
+<body onload="document.forms[0].submit()">
+  <form method="post" action="${escape(request.acs_url)}">
+    ${samlResponse ? `<input type="hidden" name="SAMLResponse" value="${samlResponse}">` : ''}
+    <input type="hidden" name="RelayState" value="${escape(request.relay_state)}">
+    <noscript><button type="submit">Continue</button></noscript>
+  </form>
+</body>
+</html>`);
+});
+
+// OIDC token endpoint
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, code_verifier } = req.body;
+  const grant = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  // Confidential clients authenticate with client_secret_basic
+  if (clientSecret) {
+    const [id, secret] = Buffer.from((req.get('authorization') || '').replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+  }
+
+  const challenge = code_verifier && crypto.createHash('sha256').update(code_verifier).digest('base64url');
+
+  if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+    || grant.redirect_uri !== redirect_uri || grant.code_challenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const { person } = grant;
+  const idToken = jwt.sign({
+    sub: person.sub,
+    email: person.email,
+    email_verified: true,
+    name: person.name,
+    preferred_username: person.username,
+    groups: person.groups,
+    nonce: grant.nonce
+  }, privateKeyPem, { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: 300 });
+
+  res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.listen(port, () => {
+  console.log(`Mock IdP running on ${issuer}\n`);
+  console.log('Start the app with:\n');
+  console.log(`OIDC_ISSUER=${issuer} OIDC_CLIENT_ID=${clientId}${clientSecret ? ` OIDC_CLIENT_SECRET=${clientSecret}` : ''} \\`);
+  console.log(`SAML_ENTRY_POINT=${issuer}/saml/sso SAML_IDP_ISSUER=${issuer} \\`);
+  console.log(`SAML_IDP_CERT="${publicKeyPem.trim().replace(/\n/g, '\\n')}" \\`);
+  console.log('SSO_ROLE_MAP=\'{"skillboost-admins": "admin", "skillboost-managers": "manager"}\' \\');
+  console.log('node server.js');
+});
@@ -1,6 +1,6 @@
 -- Sample SQL queries for TrainSphere Learning Platform
 
--- 1. Get personalized course recommendations for a user based on their skills and role
+-- 1. Get personalized course recommendations for a user based on their skills and job title
 SELECT 
   c.*,
   CASE 
@@ -21,15 +21,15 @@ WHERE
   u.id = $1
   AND (ucp.dismissed IS NULL OR ucp.dismissed = FALSE)
   AND (ucp.progress IS NULL OR ucp.progress < 100)
-  AND (c.recommended_roles @> JSONB_BUILD_ARRAY(u.role) 
+  AND (c.recommended_roles @> JSONB_BUILD_ARRAY(u.job_title) 
        OR EXISTS (
          SELECT 1 
          FROM jsonb_array_elements_text(c.recommended_skills) skill
          WHERE u.skills ? skill AND (u.skills->>skill)::integer < 70
        ))
 ORDER BY
-  -- Higher priority for courses matching user's role
-  (c.recommended_roles @> JSONB_BUILD_ARRAY(u.role))::integer DESC,
+  -- Higher priority for courses matching user's job title
+  (c.recommended_roles @> JSONB_BUILD_ARRAY(u.job_title))::integer DESC,
   -- Higher priority for courses addressing skill gaps
   (
     SELECT COUNT(1)
@@ -144,16 +144,15 @@ ORDER BY
   c.created_at DESC
 LIMIT 10;
 
--- 6. Update user skills after completing a course
--- This would be executed as part of a transaction when a course is marked as completed
-WITH course_skills AS (
+-- Executed in a transaction when a course is first completed (see lib/skills.js).
+-- $2 is the skill mapping keyed by users.skills keys, e.g. courses.skill_gains
+-- or the default '{"data_analysis": 10, "technical": 5}'
+WITH skill_gains AS (
   SELECT 
-    c.id,
-    jsonb_array_elements_text(c.learning_outcomes) as skill
+    key as skill,
+    value::integer as amount
   FROM 
-    courses c
-  WHERE 
-    c.id = $2
+    jsonb_each_text($2::jsonb)
 ),
 user_current_skills AS (
   SELECT 
@@ -162,28 +161,27 @@ user_current_skills AS (
     users u
   WHERE 
     u.id = $1
+  FOR UPDATE
 )
 UPDATE users
-SET skills = (
+SET skills = users.skills || COALESCE((
   SELECT 
+    -- Increase each mapped skill by its amount (max 100)
     jsonb_object_agg(
-      COALESCE(cs.skill, k),
-      CASE
-        -- If skill exists in course learning outcomes, increase by 10 (max 100)
-        WHEN k = cs.skill THEN LEAST(100, (COALESCE((ucs.skills->>k)::integer, 0) + 10))
-        -- Otherwise keep the same value
-        ELSE (ucs.skills->>k)::integer
-      END
+      sg.skill,
+      LEAST(100, COALESCE((ucs.skills->>sg.skill)::integer, 0) + sg.amount)
     )
   FROM 
-    user_current_skills ucs
+    skill_gains sg
   CROSS JOIN 
-    jsonb_object_keys(ucs.skills) k
-  LEFT JOIN 
-    course_skills cs ON k = cs.skill
-)
+    user_current_skills ucs
+), '{}'::jsonb)
 WHERE id = $1;
 
+-- Each change is then recorded in skill_history
+INSERT INTO skill_history (user_id, skill, previous_value, new_value, source, course_id)
+VALUES ($1, $3, $4, $5, 'course_completion', $6);
+
 -- 7. Get comprehensive user activity report
 SELECT 
   u.id,
@@ -208,4 +206,139 @@ LEFT JOIN
 WHERE 
   u.id = $1
 GROUP BY 
-  u.id, u.name, u.email, u.role;
\ No newline at end of file
+  u.id, u.name, u.email, u.role;
+
+-- 8. Get the courses assigned to a user, directly, through their role or a group
+SELECT 
+  a.id,
+  a.course_id,
+  c.title,
+  a.due_at,
+  COALESCE(ucp.status, 'not_started') as status,
+  COALESCE(ucp.progress, 0) as progress,
+  (COALESCE(ucp.status, 'not_started') <> 'completed' AND a.due_at < NOW()) as overdue
+FROM 
+  assignments a
+JOIN 
+  courses c ON a.course_id = c.id
+LEFT JOIN 
+  user_group_members gm ON gm.group_id = a.group_id AND gm.user_id = $1
+LEFT JOIN 
+  user_course_progress ucp ON ucp.course_id = a.course_id AND ucp.user_id = $1
+WHERE 
+  c.archived_at IS NULL
+  AND (a.user_id = $1 OR a.role = $2 OR gm.user_id IS NOT NULL)
+ORDER BY 
+  a.due_at;
+
+-- 9. Search the catalog by text, category, duration and role, one page at a time
+SELECT 
+  c.*,
+  ts_rank(to_tsvector('english', c.title || ' ' || c.description || ' ' || c.instructor || ' ' || c.learning_outcomes::text),
+          plainto_tsquery('english', $1)) as search_rank
+FROM 
+  courses c
+WHERE 
+  c.archived_at IS NULL
+  AND c.superseded_by IS NULL
+  AND to_tsvector('english', c.title || ' ' || c.description || ' ' || c.instructor || ' ' || c.learning_outcomes::text)
+      @@ plainto_tsquery('english', $1)
+  AND c.category = $2
+  AND c.duration BETWEEN $3 AND $4
+  AND (c.recommended_roles @> jsonb_build_array($5::text) OR c.recommended_roles @> '["All Roles"]'::jsonb)
+ORDER BY 
+  search_rank DESC, c.id
+LIMIT 12;
+
+-- 10. Recent published reviews of a course (any version), with the reviewer's name
+SELECT 
+  r.id,
+  r.rating,
+  r.body,
+  r.created_at,
+  u.name as reviewer_name
+FROM 
+  course_reviews r
+JOIN 
+  users u ON r.user_id = u.id
+JOIN 
+  courses c ON r.course_id = COALESCE(c.lineage_id, c.id)
+WHERE 
+  c.id = $1
+  AND r.status = 'published'
+ORDER BY 
+  r.created_at DESC
+LIMIT 10;
+
+-- 11. A learning path's courses in order, with the user's progress on each
+SELECT 
+  lpc.position,
+  c.id,
+  c.title,
+  c.duration,
+  COALESCE(ucp.progress, 0) as progress,
+  COALESCE(ucp.status, 'not_started') as status
+FROM 
+  learning_path_courses lpc
+JOIN 
+  courses c ON COALESCE(c.lineage_id, c.id) = lpc.course_id AND c.superseded_by IS NULL
+LEFT JOIN 
+  user_course_progress ucp ON ucp.course_id = c.id AND ucp.user_id = $2
+WHERE 
+  lpc.path_id = $1
+  AND c.archived_at IS NULL
+ORDER BY 
+  lpc.position;
+
+-- 12. A user's XP total and badges earned
+SELECT 
+  u.id,
+  u.name,
+  COALESCE(SUM(x.xp), 0) as xp,
+  (SELECT COUNT(*) FROM user_badges b WHERE b.user_id = u.id) as badges_earned
+FROM 
+  users u
+LEFT JOIN 
+  xp_events x ON x.user_id = u.id
+WHERE 
+  u.id = $1
+GROUP BY 
+  u.id, u.name;
+
+-- 13. Leaderboard of courses completed in the last 30 days, leaving out users who opted out
+SELECT 
+  u.id,
+  u.name,
+  COUNT(*) as courses_completed,
+  RANK() OVER (ORDER BY COUNT(*) DESC) as rank
+FROM 
+  users u
+JOIN 
+  training_history th ON th.user_id = u.id
+WHERE 
+  u.leaderboard_opt_out = false
+  AND th.completed_at >= NOW() - INTERVAL '30 days'
+GROUP BY 
+  u.id, u.name
+ORDER BY 
+  rank, u.name
+LIMIT 10;
+
+-- 14. Usernames with the most failed or blocked logins in the last 24 hours, for spotting credential stuffing
+SELECT 
+  identifier,
+  COUNT(*) FILTER (WHERE outcome = 'failure') as failures,
+  COUNT(*) FILTER (WHERE outcome = 'blocked') as blocked,
+  COUNT(DISTINCT ip_address) as ip_addresses,
+  MAX(created_at) as last_attempt_at
+FROM 
+  auth_attempts
+WHERE 
+  action = 'login'
+  AND outcome IN ('failure', 'blocked')
+  AND created_at >= NOW() - INTERVAL '24 hours'
+GROUP BY 
+  identifier
+ORDER BY 
+  failures DESC, blocked DESC
+LIMIT 20;
\ No newline at end of file
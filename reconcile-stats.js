@@ -0,0 +1,56 @@
+// Repair users' dashboard stats that no longer match their progress
+//
+//   node reconcile-stats.js [--dry-run]
+//
+// Recomputes every user's stats from their progress and training history
+// (see lib/stats.js) and lists the users whose stored stats were different.
+// With --dry-run the differences are only listed. The database is the one
+// DATABASE_URL names, as for the server.
+
+const { createPool } = require('./lib/db');
+const { reconcileUserStats } = require('./lib/stats');
+
+/**
+ * Describe how a user's stats changed
+ * @param {Object} change - From reconcileUserStats
+ * @returns {string}
+ */
+const describeChange = ({ user_id: userId, stored, actual }) => {
+  if (!stored) {
+    return `user ${userId}: no stats, now ${actual.completed} completed, ${actual.inProgress} in progress, ${actual.trainingMinutes} training minutes`;
+  }
+
+  // Minutes rather than the rounded hours shown on the dashboard, which can
+  // be the same when the minutes are not
+  const fields = [['completed', 'completed'], ['inProgress', 'in progress'], ['trainingMinutes', 'training minutes']]
+    .filter(([key]) => stored[key] !== actual[key])
+    .map(([key, label]) => `${label} ${stored[key]} -> ${actual[key]}`);
+  return `user ${userId}: ${fields.join(', ')}`;
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const unknown = args.find(arg => arg !== '--dry-run');
+  if (unknown) throw new Error(`Unknown option ${unknown}\nUsage: node reconcile-stats.js [--dry-run]`);
+
+  const dryRun = args.includes('--dry-run');
+  const pool = createPool();
+
+  try {
+    const changes = await reconcileUserStats(pool, { dryRun });
+
+    changes.forEach(change => console.log(describeChange(change)));
+    if (changes.length === 0) {
+      console.log('All stats match');
+    } else {
+      console.log(dryRun ? `${changes.length} user(s) would be corrected` : `Corrected ${changes.length} user(s)`);
+    }
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
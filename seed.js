@@ -0,0 +1,35 @@
+// Add sample data to a development database
+//
+//   node seed.js
+//
+// Run node migrate.js up first. The database must be empty (see
+// lib/seed.js), and the command refuses to run with NODE_ENV set to
+// production, as the sample users have well-known passwords.
+
+const { createPool } = require('./lib/db');
+const { getPendingMigrations } = require('./lib/migrations');
+const { seedDatabase } = require('./lib/seed');
+
+const main = async () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Refusing to seed with NODE_ENV=production');
+  }
+
+  const pool = createPool();
+  try {
+    const pending = await getPendingMigrations(pool);
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} migration(s) pending, run node migrate.js up first`);
+    }
+
+    await seedDatabase(pool);
+    console.log('Added sample data; log in as alex or sam (password123) or admin (admin123)');
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+// Every API route that changes data must turn away requests without a valid
+// access token unless AUTH_MODE is demo, and must not fail on a request
+// without a body. The routes are read from the Express router, so new ones
+// are checked without changing this test. Only the logged-in requests need a
+// database, see TEST_DATABASE_URL in helpers.js.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { getJwtSecret } = require('../lib/sessions');
+const { TEST_DATABASE_URL, startServer, resetDatabase, login } = require('./helpers');
+
+const MUTATING_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// Mutating routes that anyone may call: signing up and logging in, those
+// holding a refresh token, password reset or SSO code instead, and the
+// SAML callback the IdP posts to
+const PUBLIC_ROUTES = [
+  'POST /api/register',
+  'POST /api/login',
+  'POST /api/token/refresh',
+  'POST /api/logout',
+  'POST /api/password/forgot',
+  'POST /api/password/reset',
+  'POST /api/auth/saml/callback',
+  'POST /api/auth/sso/exchange'
+];
+
+/**
+ * List an app's API routes that change data, leaving out the catch-all
+ * that answers 404 for unknown ones
+ * @param {Object} app - Express app
+ * @returns {Array<Object>} { method, path } with the method in upper case
+ */
+const listMutatingRoutes = (app) =>
+  app._router.stack
+    .filter(layer => layer.route && layer.route.path.startsWith('/api/') && layer.route.path !== '/api/*')
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .filter(method => MUTATING_METHODS.includes(method))
+      .map(method => ({ method: method.toUpperCase(), path: layer.route.path })));
+
+for (const file of ['server.js', 'backend.js']) {
+  describe(`${file} with AUTH_MODE unset`, () => {
+    let releaseDatabase;
+    let server;
+    let routes;
+
+    before(async () => {
+      delete process.env.AUTH_MODE;
+      if (TEST_DATABASE_URL) releaseDatabase = await resetDatabase();
+      server = await startServer(file);
+      routes = listMutatingRoutes(server.app)
+        .filter(route => !PUBLIC_ROUTES.includes(`${route.method} ${route.path}`));
+    });
+
+    after(async () => {
+      await server.close();
+      if (releaseDatabase) await releaseDatabase();
+    });
+
+    // Sends an empty JSON object by default, or no body and no Content-Type
+    // when body is null
+    const send = (route, headers = {}, body = '{}') =>
+      fetch(`${server.baseUrl}${route.path.replace(/:\w+/g, '1')}`, {
+        method: route.method,
+        headers: body === null ? headers : { 'Content-Type': 'application/json', ...headers },
+        body
+      });
+
+    test('finds the mutating routes', () => {
+      const found = routes.map(route => `${route.method} ${route.path}`);
+      assert.ok(found.includes('POST /api/courses/:id/progress'));
+      assert.ok(found.includes('POST /api/admin/courses/import'));
+    });
+
+    test('rejects mutating routes without an access token', async () => {
+      for (const body of ['{}', null]) {
+        for (const route of routes) {
+          const response = await send(route, {}, body);
+          assert.strictEqual(response.status, 401, `${route.method} ${route.path} with body ${body} returned ${response.status}`);
+        }
+      }
+    });
+
+    test('rejects mutating routes with an invalid access token', async () => {
+      // Signed with the right secret, but from before sessions existed
+      const sessionless = jwt.sign({ id: 1 }, getJwtSecret(), { expiresIn: 60 });
+
+      for (const token of ['not-a-token', sessionless]) {
+        for (const body of ['{}', null]) {
+          for (const route of routes) {
+            const response = await send(route, { Authorization: `Bearer ${token}` }, body);
+            assert.strictEqual(response.status, 401, `${route.method} ${route.path} with body ${body} returned ${response.status}`);
+          }
+        }
+      }
+    });
+
+    test('asks for a refresh token when refreshing or logging out without one', async () => {
+      for (const path of ['/api/token/refresh', '/api/logout']) {
+        for (const body of [undefined, '{}', '{"refresh_token":42}']) {
+          const response = await fetch(`${server.baseUrl}${path}`, {
+            method: 'POST',
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body
+          });
+          assert.strictEqual(response.status, 400, `${path} with body ${body} returned ${response.status}`);
+          assert.deepStrictEqual(await response.json(), { error: 'refresh_token is required' });
+        }
+      }
+    });
+
+    test('answers mutating routes sent without a body', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set' }, async () => {
+      const token = await login(server.baseUrl, 'admin', 'admin123');
+
+      // Logging out of every device ends the admin's session, so it goes last
+      const all = listMutatingRoutes(server.app)
+        .sort((a, b) => a.path.startsWith('/api/logout') - b.path.startsWith('/api/logout'));
+
+      for (const route of all) {
+        const response = await send(route, { Authorization: `Bearer ${token}` }, null);
+        assert.ok(response.status < 500, `${route.method} ${route.path} returned ${response.status}`);
+      }
+    });
+  });
+}
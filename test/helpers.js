@@ -0,0 +1,96 @@
+// Helpers shared by the integration tests
+//
+// Tests load server.js or backend.js in-process and listen on a free port.
+// Those needing a database use the one TEST_DATABASE_URL names, which is
+// wiped and reseeded for every file, so it must not hold anything else.
+
+const path = require('path');
+const { Client, Pool } = require('pg');
+const { migrateUp } = require('../lib/migrations');
+const { seedDatabase } = require('../lib/seed');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Advisory lock held by the test file using the database
+const TEST_DATABASE_LOCK_KEY = 7357;
+
+/**
+ * Start one of the servers on a free port
+ * Reads the environment when first loaded, so set AUTH_MODE and the like
+ * before calling this.
+ * @param {string} file - server.js or backend.js
+ * @returns {Promise<Object>} { app, pool, baseUrl, close }
+ */
+const startServer = async (file) => {
+  if (TEST_DATABASE_URL) process.env.DATABASE_URL = TEST_DATABASE_URL;
+
+  const { app, pool } = require(path.join(__dirname, '..', file));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    app,
+    pool,
+    baseUrl: `http://localhost:${server.address().port}`,
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await pool.end();
+    }
+  };
+};
+
+/**
+ * Wait for any other test file to finish with the test database, then empty
+ * it, migrate it and add the sample data
+ * Run before starting a server, so its startup check sees the new schema.
+ * @returns {Promise<Function>} async () => void, to call once the file is
+ *   done so the next one can have the database
+ */
+const resetDatabase = async () => {
+  const lock = new Client({ connectionString: TEST_DATABASE_URL });
+  await lock.connect();
+  const pool = new Pool({ connectionString: TEST_DATABASE_URL });
+
+  try {
+    await lock.query('SELECT pg_advisory_lock($1)', [TEST_DATABASE_LOCK_KEY]);
+    await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public');
+    await migrateUp(pool);
+    await seedDatabase(pool);
+  } catch (error) {
+    await lock.end();
+    throw error;
+  } finally {
+    await pool.end();
+  }
+
+  // Ending the connection releases the lock
+  return () => lock.end();
+};
+
+/**
+ * Log in and get an access token
+ * @param {string} baseUrl - From startServer
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+const login = async (baseUrl, username, password) => {
+  const response = await fetch(`${baseUrl}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const body = await response.json();
+
+  if (!response.ok) throw new Error(`Logging in as ${username} failed: ${body.error}`);
+  return body.token;
+};
+
+module.exports = {
+  TEST_DATABASE_URL,
+  startServer,
+  resetDatabase,
+  login
+};
@@ -0,0 +1,174 @@
+// Progress updates that race each other, or are retried with the same
+// Idempotency-Key, must complete a course exactly once: one training history
+// entry, one certificate, XP awarded once and dashboard stats that match.
+// Assessment attempts retried with the same key are recorded once too.
+// Needs a database, see TEST_DATABASE_URL in helpers.js.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { reconcileUserStats } = require('../lib/stats');
+const { TEST_DATABASE_URL, startServer, resetDatabase, login } = require('./helpers');
+
+// Seeded sample data: Project Management has no assessments or prerequisites
+const SAM = { id: 3, username: 'sam', password: 'password123' };
+const ALEX = { id: 1, username: 'alex', password: 'password123' };
+const COURSE_ID = 3;
+
+// Data Analysis has a final assessment with three questions
+const ASSESSMENT_COURSE_ID = 1;
+const ASSESSMENT_ID = 2;
+
+const PARALLEL_REQUESTS = 8;
+
+for (const file of ['server.js', 'backend.js']) {
+  describe(`${file} progress under concurrency`, { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set' }, () => {
+    let releaseDatabase;
+    let server;
+    let course;
+
+    before(async () => {
+      releaseDatabase = await resetDatabase();
+      server = await startServer(file);
+      course = (await server.pool.query('SELECT * FROM courses WHERE id = $1', [COURSE_ID])).rows[0];
+    });
+
+    after(async () => {
+      await server.close();
+      await releaseDatabase();
+    });
+
+    const saveProgress = (token, progress, key) =>
+      fetch(`${server.baseUrl}/api/courses/${COURSE_ID}/progress`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+          ...(key ? { 'Idempotency-Key': key } : {})
+        },
+        body: JSON.stringify({ progress })
+      });
+
+    const submitAttempt = (token, key) =>
+      fetch(`${server.baseUrl}/api/courses/${ASSESSMENT_COURSE_ID}/assessments/${ASSESSMENT_ID}/attempts`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+          'Idempotency-Key': key
+        },
+        body: JSON.stringify({ answers: [0, 0, 0] })
+      });
+
+    const countAttempts = async (userId) => {
+      const result = await server.pool.query(
+        'SELECT COUNT(*)::int as count FROM assessment_attempts WHERE user_id = $1 AND assessment_id = $2',
+        [userId, ASSESSMENT_ID]
+      );
+      return result.rows[0].count;
+    };
+
+    const countCompletion = async (userId) => {
+      const result = await server.pool.query(
+        `SELECT (SELECT COUNT(*) FROM training_history WHERE user_id = $1 AND course_id = $2)::int as history,
+                (SELECT COUNT(*) FROM certificates WHERE user_id = $1 AND course_id = $2)::int as certificates,
+                (SELECT COUNT(*) FROM xp_events WHERE user_id = $1 AND course_id = $2)::int as xp_events,
+                (SELECT COALESCE(SUM(xp), 0) FROM xp_events WHERE user_id = $1 AND course_id = $2)::int as xp`,
+        [userId, COURSE_ID]
+      );
+      return result.rows[0];
+    };
+
+    const getStoredStats = async (userId) => {
+      const result = await server.pool.query(
+        'SELECT completed, in_progress, training_minutes FROM user_stats WHERE user_id = $1',
+        [userId]
+      );
+      return result.rows[0];
+    };
+
+    // One event per module and one for the course
+    const expectedCompletion = () => ({
+      history: 1,
+      certificates: 1,
+      xp_events: course.modules.length + 1,
+      xp: course.modules.length * 10 + 100
+    });
+
+    test('completes a course once when completions race', async () => {
+      const token = await login(server.baseUrl, SAM.username, SAM.password);
+      assert.strictEqual((await saveProgress(token, 50)).status, 200);
+      const statsBefore = await getStoredStats(SAM.id);
+
+      const responses = await Promise.all(
+        Array.from({ length: PARALLEL_REQUESTS }, () => saveProgress(token, 100))
+      );
+      const bodies = await Promise.all(responses.map(response => response.json()));
+
+      assert.deepStrictEqual(responses.map(response => response.status), Array(PARALLEL_REQUESTS).fill(200));
+      assert.strictEqual(bodies.filter(body => body.certificate).length, 1);
+      assert.deepStrictEqual(await countCompletion(SAM.id), expectedCompletion());
+      assert.deepStrictEqual(await getStoredStats(SAM.id), {
+        completed: statsBefore.completed + 1,
+        in_progress: statsBefore.in_progress - 1,
+        training_minutes: statsBefore.training_minutes + course.duration
+      });
+      assert.deepStrictEqual(await reconcileUserStats(server.pool, { dryRun: true }), []);
+    });
+
+    test('runs a request once when it is retried with the same Idempotency-Key', async () => {
+      const token = await login(server.baseUrl, ALEX.username, ALEX.password);
+      assert.strictEqual((await saveProgress(token, 50)).status, 200);
+      const statsBefore = await getStoredStats(ALEX.id);
+
+      const responses = await Promise.all(
+        Array.from({ length: PARALLEL_REQUESTS }, () => saveProgress(token, 100, 'complete-project-management'))
+      );
+      const bodies = await Promise.all(responses.map(response => response.json()));
+
+      assert.deepStrictEqual(responses.map(response => response.status), Array(PARALLEL_REQUESTS).fill(200));
+      assert.strictEqual(responses.filter(response => response.headers.get('idempotent-replayed') === 'true').length, PARALLEL_REQUESTS - 1);
+      for (const body of bodies) assert.deepStrictEqual(body, bodies[0]);
+
+      // A later retry is answered from the stored response too
+      const retry = await saveProgress(token, 100, 'complete-project-management');
+      assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+      assert.deepStrictEqual(await retry.json(), bodies[0]);
+
+      assert.deepStrictEqual(await countCompletion(ALEX.id), expectedCompletion());
+      assert.strictEqual((await getStoredStats(ALEX.id)).completed, statsBefore.completed + 1);
+      assert.deepStrictEqual(await reconcileUserStats(server.pool, { dryRun: true }), []);
+    });
+
+    test('records an assessment attempt once when it is retried with the same Idempotency-Key', async () => {
+      const token = await login(server.baseUrl, SAM.username, SAM.password);
+
+      const responses = await Promise.all(
+        Array.from({ length: PARALLEL_REQUESTS }, () => submitAttempt(token, 'data-analysis-attempt'))
+      );
+      const bodies = await Promise.all(responses.map(response => response.json()));
+
+      assert.deepStrictEqual(responses.map(response => response.status), Array(PARALLEL_REQUESTS).fill(201));
+      assert.strictEqual(responses.filter(response => response.headers.get('idempotent-replayed') === 'true').length, PARALLEL_REQUESTS - 1);
+      for (const body of bodies) assert.deepStrictEqual(body, bodies[0]);
+      assert.strictEqual(await countAttempts(SAM.id), 1);
+    });
+
+    test('keeps the Idempotency-Key free when no attempts remain', async () => {
+      const token = await login(server.baseUrl, SAM.username, SAM.password);
+      const attemptsBefore = await countAttempts(SAM.id);
+
+      await server.pool.query('UPDATE assessments SET max_attempts = $1 WHERE id = $2', [attemptsBefore, ASSESSMENT_ID]);
+      const refused = await submitAttempt(token, 'one-more-attempt');
+      assert.strictEqual(refused.status, 409);
+      assert.deepStrictEqual(await refused.json(), { error: 'No attempts remaining for this assessment' });
+      assert.strictEqual(await countAttempts(SAM.id), attemptsBefore);
+
+      // Nothing was stored for the key, so once allowed the retry runs
+      await server.pool.query('UPDATE assessments SET max_attempts = $1 WHERE id = $2', [attemptsBefore + 1, ASSESSMENT_ID]);
+      const retry = await submitAttempt(token, 'one-more-attempt');
+      assert.strictEqual(retry.status, 201);
+      assert.strictEqual(retry.headers.get('idempotent-replayed'), null);
+      assert.strictEqual(await countAttempts(SAM.id), attemptsBefore + 1);
+    });
+  });
+}